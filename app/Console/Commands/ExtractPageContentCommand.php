@@ -185,10 +185,12 @@ private function processPage(Page $page, int $timeout): bool
             );
 
             if (!$extractResult['success']) {
-                $this->error("   ❌ Failed to extract: " . ($extractResult['error'] ?? 'Unknown error'));
+                $this->error("   ❌ Failed to extract [{$extractResult['errorCode']}]: " . ($extractResult['error'] ?? 'Unknown error'));
                 Log::error('🌐 [Stage1:Extract] Content extraction failed', [
                     'page_id' => $page->id,
                     'error' => $extractResult['error'],
+                    'errorCode' => $extractResult['errorCode'],
+                    'retryable' => $extractResult['retryable'],
                 ]);
                 return false;
             }
@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Enums;
+
+/**
+ * Failure classes reported by the Playwright extractor (scripts/extractor/errors.js).
+ * Values match the "errorCode" field of the extractor's JSON error output.
+ */
+enum ExtractionErrorCode: string
+{
+    case INTERNAL = 'INTERNAL';
+    case INVALID_OPTIONS = 'INVALID_OPTIONS';
+    case DNS = 'DNS';
+    case CONNECTION_REFUSED = 'CONNECTION_REFUSED';
+    case NETWORK = 'NETWORK';
+    case TIMEOUT = 'TIMEOUT';
+    case HTTP_4XX = 'HTTP_4XX';
+    case HTTP_5XX = 'HTTP_5XX';
+    case BLOCKED = 'BLOCKED';
+    case EMPTY_CONTENT = 'EMPTY_CONTENT';
+    case CRASH = 'CRASH';
+
+    /**
+     * Map a process exit code back to the error code (for failures without JSON output).
+     */
+    public static function fromExitCode(?int $exitCode): self
+    {
+        return match ($exitCode) {
+            2 => self::INVALID_OPTIONS,
+            10 => self::DNS,
+            11 => self::CONNECTION_REFUSED,
+            12 => self::NETWORK,
+            13 => self::TIMEOUT,
+            14 => self::HTTP_4XX,
+            15 => self::HTTP_5XX,
+            16 => self::BLOCKED,
+            17 => self::EMPTY_CONTENT,
+            18 => self::CRASH,
+            default => self::INTERNAL,
+        };
+    }
+
+    /**
+     * Whether the page is worth rescheduling (the failure is likely temporary).
+     */
+    public function isTransient(): bool
+    {
+        return match ($this) {
+            self::CONNECTION_REFUSED,
+            self::NETWORK,
+            self::TIMEOUT,
+            self::HTTP_5XX,
+            self::EMPTY_CONTENT,
+            self::CRASH => true,
+            default => false,
+        };
+    }
+
+    /**
+     * Whether the page itself is gone or unreachable and should be marked dead.
+     */
+    public function isPermanent(): bool
+    {
+        return $this === self::DNS || $this === self::HTTP_4XX;
+    }
+
+    /**
+     * Whether the failure points at our setup rather than the page (alert someone).
+     */
+    public function needsAttention(): bool
+    {
+        return $this === self::INTERNAL || $this === self::INVALID_OPTIONS || $this === self::BLOCKED;
+    }
+}
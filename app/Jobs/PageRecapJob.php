@@ -255,6 +255,8 @@ private function getContent(
             Log::warning('📝 [PageRecapJob] ⚠️ Playwright extraction failed', [
                 'page_id' => $this->page->id,
                 'error' => $result['error'] ?? 'No content returned',
+                'errorCode' => $result['errorCode'] ?? null,
+                'retryable' => $result['retryable'] ?? null,
                 'extractTimeMs' => $extractTime,
             ]);
 
@@ -61,6 +61,7 @@ public function resolveRedirectUrl(Page $page, ?int $cropHeight): ?string
         $contentType = match ($ext) {
             'png' => 'image/png',
             'jpg' => 'image/jpeg',
+            'webp' => 'image/webp',
             default => 'application/octet-stream',
         };
 
@@ -136,7 +137,7 @@ private function normalizeExtFromKey(string $key): string
     {
         $ext = strtolower((string) pathinfo($key, PATHINFO_EXTENSION));
         $ext = $ext === 'jpeg' ? 'jpg' : $ext;
-        if (in_array($ext, ['png', 'jpg'], true)) {
+        if (in_array($ext, ['png', 'jpg', 'webp'], true)) {
             return $ext;
         }
 
@@ -208,9 +209,11 @@ private function resizeToWidthAndCropFromTop(string $binary, string $ext, int $t
         $obLevel = ob_get_level();
         ob_start();
         try {
-            $ext === 'jpg'
-                ? imagejpeg($cropped, null, 85)
-                : imagepng($cropped);
+            match ($ext) {
+                'jpg' => imagejpeg($cropped, null, 85),
+                'webp' => imagewebp($cropped, null, 85),
+                default => imagepng($cropped),
+            };
             $out = ob_get_clean();
         } finally {
             imagedestroy($cropped);
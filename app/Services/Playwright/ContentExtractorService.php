@@ -4,7 +4,9 @@
 
 namespace App\Services\Playwright;
 
+use App\Enums\ExtractionErrorCode;
 use Illuminate\Support\Facades\Log;
+use Symfony\Component\Process\Exception\ProcessTimedOutException;
 use Symfony\Component\Process\Process;
 
 /**
@@ -23,6 +25,23 @@ class ContentExtractorService
      */
     private const DEFAULT_WAIT_FOR = 'networkidle';
 
+    /**
+     * Default content format (cleaned HTML).
+     */
+    private const DEFAULT_FORMAT = 'html';
+
+    /**
+     * Delay before the first retry (ms), doubled for each next one.
+     */
+    private const RETRY_DELAY_MS = 1000;
+
+    /**
+     * @param string|null $scriptPath Extractor CLI to run (default: scripts/puppeteer-extract-text.js)
+     */
+    public function __construct(
+        private readonly ?string $scriptPath = null,
+    ) {}
+
     /**
      * Extract content from a URL using Playwright headless browser.
      *
@@ -31,18 +50,60 @@ class ContentExtractorService
      * @param string $waitFor Wait until event (load, domcontentloaded, networkidle, commit)
      * @param string|null $screenshotAbsolutePath Absolute path where Playwright should save a screenshot (optional)
      * @param bool $screenshotFullPage Whether to capture a full page screenshot (default true)
+     * @param string $format Content format: html, markdown, text, or all (content stays html, every format in contents)
+     * @param int $retries Retries for transient failures (timeouts, 5xx, crashes, ...), with backoff
+     * @param string|null $imagesAbsoluteDir Directory to download the top product images into (optional)
+     * @param int $imagesMax Max images to download into $imagesAbsoluteDir
+     * @param array<int, array{name?: string, device?: string, mode?: string, selector?: string, maxHeight?: int, tileHeight?: int, maxTiles?: int, format?: string, quality?: int}> $screenshots
+     *        Additional captures (desktop/mobile; fullPage/viewport/element/tiles), saved into $screenshotsAbsoluteDir
+     * @param string|null $screenshotsAbsoluteDir Directory for the $screenshots files
+     * @param int|null $chunkTokens Split the content into heading-aware chunks of about this many tokens (optional)
+     * @param int $chunkOverlap Tokens repeated from the previous chunk when a section spans several chunks
+     * @param string|null $html Stored HTML (e.g. a saved rawHtml) to extract instead of fetching $url; $url is its base URL
+     * @param string|null $locale Browser locale and Accept-Language (e.g. uk-UA)
+     * @param string|null $timezone IANA timezone (e.g. Europe/Kyiv)
+     * @param array{latitude: float, longitude: float, accuracy?: float}|null $geolocation Geolocation reported to the page
+     * @param array<string, string> $extraHeaders Extra headers sent with every request
+     * @param string|null $proxy Proxy server URL, optionally with user:password@ credentials
+     * @param string|null $storageStatePath Playwright storage state (cookies, localStorage) to load before navigating
+     * @param string|null $saveStorageStatePath Where to save the storage state after the extraction
+     * @param bool $setup Run the site profile's setup steps (login, city choice) before navigating
      * @return array{
      *   success: bool,
+     *   offline: ?array{input: string, baseUrl: string},
+     *   storageState: ?array{loaded: ?string, saved: ?string, error: ?string},
+     *   emulation: ?array{locale: string, languages: array<int, string>, timezone: string, userAgent: string, geolocation: ?array{latitude: float, longitude: float, accuracy: float}, extraHeaders: array<int, string>, proxy: ?array{server: string, authenticated: bool}},
      *   content: ?string,
+     *   contents: ?array{html: string, markdown: string, text: string},
+     *   contentLengths: ?array{html: int, markdown: int, text: int},
+     *   mainContent: ?array{selector: string, method: string, confidence: float, score: ?float, textShare: ?float, linkDensity: ?float, content: string, contentLength: int, contents?: array{html: string, markdown: string, text: string}},
+     *   embedded: ?array{shadowRoots: int, frames: array<int, array{src: string, origin: string, inlined: bool, error: ?string}>},
+     *   chunks: ?array<int, array{index: int, headingPath: array<int, string>, start: int, end: int, tokens: int, overlap: int, text: string}>,
      *   rawHtml: ?string,
      *   title: ?string,
      *   description: ?string,
      *   keywords: ?string,
      *   extractedUrls: ?array,
+     *   images: ?array<int, array{url: string, bestUrl: string, bestWidth: ?int, naturalWidth: ?int, naturalHeight: ?int, displayWidth: int, displayHeight: int, alt: ?string, title: ?string, region: string, score: float, primary: bool, file?: ?string, fileSize?: ?int, downloadError?: ?string}>,
+     *   links: ?array<int, array{url: string, normalizedUrl: string, text: string, rel: array<int, string>, region: ?string, regions: array<int, string>, sameOrigin: bool, count: int}>,
+     *   specifications: ?array<int, array{group: ?string, name: string, value: string, unit: ?string}>,
+     *   offer: ?array{source: string, price: ?float, oldPrice: ?float, unitPrice: ?array{price: float, unit: string}, currency: ?string, availability: ?string, availabilityText: ?string, element: ?array{selector: string, text: string}, availabilityElement: ?array{selector: string, text: string}, confidence: float},
+     *   fingerprints: ?array{textHash: string, mainContentHash: string, mainContentSimhash: string, offerHash: ?string},
+     *   debug: ?array{console: array<int, array{type: string, text: string, location: ?string}>, consoleDropped: int, pageErrors: array<int, array{name: string, message: string, stack: ?string}>, pageErrorsDropped: int, failedRequests: array<int, array{url: string, method: string, resourceType: string, status: ?int, failure: ?string}>, failedRequestsDropped: int, trace: ?array, har: ?array},
+     *   seo: ?array{requestedUrl: string, finalUrl: string, redirected: bool, redirectChain: array<int, array{url: string, status: ?int, location: ?string}>, canonical: ?string, canonicalIsSelf: ?bool, robots: array{index: bool, follow: bool, directives: array<int, string>, sources: array}, hreflang: array<int, array{lang: string, url: string}>, next: ?string, prev: ?string},
+     *   structuredData: ?array,
+     *   apiResponses: ?array<int, array{url: string, method: string, status: int, contentType: string, size: ?int, truncated: bool, body: mixed, bodyType: string, error: ?string}>,
+     *   consent: ?array{enabled: bool, load: ?array, screenshot: ?array},
+     *   expansion: ?array{details: int, toggles: int, readMore: int, tabs: array<int, array{group: int, label: string, selected: bool, content: ?string, contentLength: int, contents?: array{html: string, markdown: string, text: string}, error: ?string}>, capped: bool, navigated: bool, error: ?string, durationMs: int},
      *   screenshotPath: ?string,
      *   screenshotSaved: ?bool,
      *   screenshotError: ?string,
+     *   screenshots: ?array<int, array{name: string, device: string, mode: string, selector: ?string, path: ?string, format: string, width: ?int, height: ?int, bytes: ?int, tile: ?array{index: int, count: int, y: int, truncated: bool}, error: ?string}>,
      *   error: ?string,
+     *   errorCode: ?string,
+     *   retryable: ?bool,
+     *   httpStatus: ?int,
+     *   attempts: ?int,
      *   loadTimeMs: ?int
      * }
      */
@@ -52,6 +113,23 @@ public function extract(
         string $waitFor = self::DEFAULT_WAIT_FOR,
         ?string $screenshotAbsolutePath = null,
         bool $screenshotFullPage = true,
+        string $format = self::DEFAULT_FORMAT,
+        int $retries = 0,
+        ?string $imagesAbsoluteDir = null,
+        int $imagesMax = 5,
+        array $screenshots = [],
+        ?string $screenshotsAbsoluteDir = null,
+        ?int $chunkTokens = null,
+        int $chunkOverlap = 0,
+        ?string $html = null,
+        ?string $locale = null,
+        ?string $timezone = null,
+        ?array $geolocation = null,
+        array $extraHeaders = [],
+        ?string $proxy = null,
+        ?string $storageStatePath = null,
+        ?string $saveStorageStatePath = null,
+        bool $setup = false,
     ): array {
         $startTime = microtime(true);
 
@@ -59,30 +137,25 @@ public function extract(
             'url' => $url,
             'timeout' => $timeout,
             'waitFor' => $waitFor,
+            'format' => $format,
+            'retries' => $retries,
             'screenshot' => $screenshotAbsolutePath !== null,
+            'offline' => $html !== null,
+            'locale' => $locale,
+            'timezone' => $timezone,
+            'proxy' => $proxy !== null,
+            'storageState' => $storageStatePath,
+            'setup' => $setup,
         ]);
 
-        $scriptPath = base_path('scripts/puppeteer-extract-text.js');
+        $scriptPath = $this->scriptPath ?? base_path('scripts/puppeteer-extract-text.js');
 
         if (!file_exists($scriptPath)) {
             Log::error('🎭 [Playwright] Script not found', [
                 'path' => $scriptPath,
                 'url' => $url,
             ]);
-            return [
-                'success' => false,
-                'content' => null,
-                'rawHtml' => null,
-                'title' => null,
-                'description' => null,
-                'keywords' => null,
-                'extractedUrls' => null,
-                'screenshotPath' => null,
-                'screenshotSaved' => null,
-                'screenshotError' => null,
-                'error' => 'Playwright script not found',
-                'loadTimeMs' => null,
-            ];
+            return $this->failedResult('Playwright script not found', ExtractionErrorCode::INTERNAL);
         }
 
         $args = [
@@ -91,21 +164,89 @@ public function extract(
             $url,
             "--timeout={$timeout}",
             "--wait-for={$waitFor}",
+            "--format={$format}",
             '--json',
         ];
 
+        if ($retries > 0) {
+            $args[] = "--retries={$retries}";
+            $args[] = '--retry-delay=' . self::RETRY_DELAY_MS;
+        }
+
+        if ($screenshots !== [] && $screenshotsAbsoluteDir !== null) {
+            $args[] = '--screenshots=' . json_encode($screenshots, JSON_UNESCAPED_SLASHES);
+            $args[] = "--screenshot-dir={$screenshotsAbsoluteDir}";
+        }
+
+        if ($imagesAbsoluteDir !== null) {
+            $args[] = "--images-dir={$imagesAbsoluteDir}";
+            $args[] = "--images-max={$imagesMax}";
+        }
+
         if ($screenshotAbsolutePath !== null) {
             $args[] = "--screenshot-path={$screenshotAbsolutePath}";
             $args[] = '--screenshot-full-page=' . ($screenshotFullPage ? '1' : '0');
         }
 
+        if ($chunkTokens !== null) {
+            $args[] = "--chunk-tokens={$chunkTokens}";
+            $args[] = "--chunk-overlap={$chunkOverlap}";
+        }
+
+        // Market pinning: prices, language and stock often depend on these
+        if ($locale !== null) {
+            $args[] = "--locale={$locale}";
+        }
+        if ($timezone !== null) {
+            $args[] = "--timezone={$timezone}";
+        }
+        if ($geolocation !== null) {
+            $args[] = '--geolocation=' . implode(',', array_filter(
+                [$geolocation['latitude'], $geolocation['longitude'], $geolocation['accuracy'] ?? null],
+                fn ($value) => $value !== null,
+            ));
+        }
+        if ($extraHeaders !== []) {
+            $args[] = '--extra-headers=' . json_encode($extraHeaders, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+        }
+        if ($proxy !== null) {
+            $args[] = "--proxy={$proxy}";
+        }
+
+        // Sessions (logged-in supplier accounts, chosen city) are reused through storage state files
+        if ($storageStatePath !== null) {
+            $args[] = "--storage-state={$storageStatePath}";
+        }
+        if ($saveStorageStatePath !== null) {
+            $args[] = "--save-storage-state={$saveStorageStatePath}";
+        }
+        if ($setup) {
+            $args[] = '--setup';
+        }
+
+        // Stored HTML goes through stdin: it is too large for the command line
+        if ($html !== null) {
+            $args[] = '--html-file=-';
+        }
+
+        $serverUrl = config('crawler.extractor_server_url');
+        if (!empty($serverUrl)) {
+            $args[] = "--server={$serverUrl}";
+        }
+
         Log::debug('🎭 [Playwright] Executing node process', [
             'url' => $url,
-            'command' => implode(' ', $args),
+            // Proxy credentials stay out of the logs
+            'command' => preg_replace('#(--proxy=[^:/\s]+://)[^@/\s]+@#', '$1***@', implode(' ', $args)),
         ]);
 
         $process = new Process($args);
-        $processTimeout = (int) ($timeout / 1000) + 60;
+        if ($html !== null) {
+            $process->setInput($html);
+        }
+        // Every attempt may run to its timeout, plus the backoff between attempts (1s, 2s, 4s, ...)
+        $retryBackoffSec = (int) ceil(self::RETRY_DELAY_MS * (2 ** $retries - 1) / 1000);
+        $processTimeout = ((int) ($timeout / 1000) + 60) * ($retries + 1) + $retryBackoffSec;
         $process->setTimeout($processTimeout);
 
         Log::debug('🎭 [Playwright] Process timeout set', [
@@ -121,28 +262,27 @@ public function extract(
             if (!$process->isSuccessful()) {
                 $errorOutput = $process->getErrorOutput();
                 $exitCode = $process->getExitCode();
+                // With --json the classified error ({error, errorCode, retryable, ...}) is printed to stdout
+                $errorData = json_decode($process->getOutput(), true);
 
                 Log::error('🎭 [Playwright] Process failed', [
                     'url' => $url,
                     'exitCode' => $exitCode,
+                    'errorCode' => $errorData['errorCode'] ?? null,
+                    'error' => $errorData['error'] ?? null,
+                    'pageErrors' => array_column($errorData['debug']['pageErrors'] ?? [], 'message'),
                     'errorOutput' => substr($errorOutput, 0, 1000),
                     'processTimeMs' => $processTime,
                 ]);
 
-                return [
-                    'success' => false,
-                    'content' => null,
-                    'rawHtml' => null,
-                    'title' => null,
-                    'description' => null,
-                    'keywords' => null,
-                    'extractedUrls' => null,
-                    'screenshotPath' => null,
-                    'screenshotSaved' => null,
-                    'screenshotError' => null,
-                    'error' => $errorOutput ?: 'Process failed with exit code ' . $exitCode,
-                    'loadTimeMs' => null,
-                ];
+                if (is_array($errorData) && isset($errorData['error'])) {
+                    return $this->failedFromErrorData($errorData, $exitCode);
+                }
+
+                return $this->failedResult(
+                    $errorOutput ?: 'Process failed with exit code ' . $exitCode,
+                    ExtractionErrorCode::fromExitCode($exitCode),
+                );
             }
 
             Log::debug('🎭 [Playwright] Process completed successfully', [
@@ -168,20 +308,7 @@ public function extract(
                     'processTimeMs' => $processTime,
                 ]);
 
-                return [
-                    'success' => false,
-                    'content' => null,
-                    'rawHtml' => null,
-                    'title' => null,
-                    'description' => null,
-                    'keywords' => null,
-                    'extractedUrls' => null,
-                    'screenshotPath' => null,
-                    'screenshotSaved' => null,
-                    'screenshotError' => null,
-                    'error' => 'Failed to parse JSON output: ' . json_last_error_msg(),
-                    'loadTimeMs' => null,
-                ];
+                return $this->failedResult('Failed to parse JSON output: ' . json_last_error_msg(), ExtractionErrorCode::INTERNAL);
             }
 
             // Check for error in response
@@ -190,23 +317,11 @@ public function extract(
                     'url' => $url,
                     'error' => $data['error'],
                     'errorType' => $data['errorType'] ?? 'unknown',
+                    'errorCode' => $data['errorCode'] ?? null,
                     'processTimeMs' => $processTime,
                 ]);
 
-                return [
-                    'success' => false,
-                    'content' => null,
-                    'rawHtml' => null,
-                    'title' => null,
-                    'description' => null,
-                    'keywords' => null,
-                    'extractedUrls' => null,
-                    'screenshotPath' => null,
-                    'screenshotSaved' => null,
-                    'screenshotError' => null,
-                    'error' => $data['error'],
-                    'loadTimeMs' => null,
-                ];
+                return $this->failedFromErrorData($data, $process->getExitCode());
             }
 
             $contentLength = $data['contentLength'] ?? strlen($data['content'] ?? '');
@@ -221,6 +336,7 @@ public function extract(
                 'hasDescription' => !empty($data['metaDescription']),
                 'hasKeywords' => !empty($data['metaKeywords']),
                 'contentLength' => $contentLength,
+                'contentLengths' => $data['contentLengths'] ?? null,
                 'rawHtmlLength' => $data['rawHtmlLength'] ?? 0,
                 'extractedUrlsCount' => count($data['extractedUrls'] ?? []),
                 'pageLoadTimeMs' => $pageLoadTime,
@@ -231,16 +347,40 @@ public function extract(
 
             return [
                 'success' => true,
+                'offline' => $data['offline'] ?? null,
+                'emulation' => $data['emulation'] ?? null,
+                'storageState' => $data['storageState'] ?? null,
                 'content' => $data['content'] ?? null,
+                'contents' => $data['contents'] ?? null,
+                'contentLengths' => $data['contentLengths'] ?? null,
+                'mainContent' => $data['mainContent'] ?? null,
+                'embedded' => $data['embedded'] ?? null,
+                'chunks' => $data['chunks'] ?? null,
                 'rawHtml' => $data['rawHtml'] ?? null,
                 'title' => $data['title'] ?? null,
                 'description' => $data['metaDescription'] ?? null,
                 'keywords' => $data['metaKeywords'] ?? null,
                 'extractedUrls' => $data['extractedUrls'] ?? [],
+                'links' => $data['links'] ?? [],
+                'images' => $data['images'] ?? [],
+                'specifications' => $data['specifications'] ?? [],
+                'offer' => $data['offer'] ?? null,
+                'fingerprints' => $data['fingerprints'] ?? null,
+                'seo' => $data['seo'] ?? null,
+                'structuredData' => $data['structuredData'] ?? null,
+                'apiResponses' => $data['apiResponses'] ?? [],
+                'consent' => $data['consent'] ?? null,
+                'expansion' => $data['expansion'] ?? null,
                 'screenshotPath' => $data['screenshotPath'] ?? null,
                 'screenshotSaved' => $screenshotSaved,
                 'screenshotError' => $screenshotError,
+                'screenshots' => $data['screenshots'] ?? [],
+                'debug' => $data['debug'] ?? null,
                 'error' => null,
+                'errorCode' => null,
+                'retryable' => null,
+                'httpStatus' => $data['status'] ?? null,
+                'attempts' => $data['attempts'] ?? null,
                 'loadTimeMs' => $pageLoadTime,
             ];
 
@@ -255,43 +395,117 @@ public function extract(
                 'trace' => $e->getTraceAsString(),
             ]);
 
-            return [
-                'success' => false,
-                'content' => null,
-                'rawHtml' => null,
-                'title' => null,
-                'description' => null,
-                'keywords' => null,
-                'extractedUrls' => null,
-                'screenshotPath' => null,
-                'screenshotSaved' => null,
-                'screenshotError' => null,
-                'error' => $e->getMessage(),
-                'loadTimeMs' => null,
-            ];
+            return $this->failedResult(
+                $e->getMessage(),
+                $e instanceof ProcessTimedOutException ? ExtractionErrorCode::TIMEOUT : ExtractionErrorCode::INTERNAL,
+            );
         }
     }
 
+    /**
+     * Build the failure result from the extractor's JSON error output.
+     *
+     * @param array<string, mixed> $errorData {error, errorType, errorCode, retryable, httpStatus, attempts, debug}
+     * @param int|null $exitCode Process exit code (used when errorCode is missing)
+     * @return array<string, mixed>
+     */
+    private function failedFromErrorData(array $errorData, ?int $exitCode): array
+    {
+        $code = ExtractionErrorCode::tryFrom((string) ($errorData['errorCode'] ?? ''))
+            ?? ExtractionErrorCode::fromExitCode($exitCode);
+
+        return $this->failedResult(
+            (string) $errorData['error'],
+            $code,
+            isset($errorData['retryable']) ? (bool) $errorData['retryable'] : null,
+            isset($errorData['httpStatus']) ? (int) $errorData['httpStatus'] : null,
+            isset($errorData['attempts']) ? (int) $errorData['attempts'] : null,
+            is_array($errorData['debug'] ?? null) ? $errorData['debug'] : null,
+        );
+    }
+
+    /**
+     * Build the result returned when extraction failed.
+     *
+     * @param string $error Error message
+     * @param ExtractionErrorCode $code Failure class
+     * @param bool|null $retryable Extractor's verdict (defaults to the code's transient flag)
+     * @param int|null $httpStatus Response status, when the page answered
+     * @param int|null $attempts Attempts made, including retries
+     * @param array<string, mixed>|null $debug Console/page errors/failed requests of the failed attempt
+     * @return array<string, mixed> Same shape as extract() with all data fields null
+     */
+    private function failedResult(
+        string $error,
+        ExtractionErrorCode $code,
+        ?bool $retryable = null,
+        ?int $httpStatus = null,
+        ?int $attempts = null,
+        ?array $debug = null,
+    ): array {
+        return [
+            'success' => false,
+            'offline' => null,
+            'emulation' => null,
+            'storageState' => null,
+            'content' => null,
+            'contents' => null,
+            'contentLengths' => null,
+            'mainContent' => null,
+            'embedded' => null,
+            'chunks' => null,
+            'rawHtml' => null,
+            'title' => null,
+            'description' => null,
+            'keywords' => null,
+            'extractedUrls' => null,
+            'links' => null,
+            'images' => null,
+            'specifications' => null,
+            'offer' => null,
+            'fingerprints' => null,
+            'seo' => null,
+            'structuredData' => null,
+            'apiResponses' => null,
+            'consent' => null,
+            'expansion' => null,
+            'screenshotPath' => null,
+            'screenshotSaved' => null,
+            'screenshotError' => null,
+            'screenshots' => null,
+            'debug' => $debug,
+            'error' => $error,
+            'errorCode' => $code->value,
+            'retryable' => $retryable ?? $code->isTransient(),
+            'httpStatus' => $httpStatus,
+            'attempts' => $attempts,
+            'loadTimeMs' => null,
+        ];
+    }
+
     /**
      * Extract content and format it for AI consumption.
      *
      * @param string $url The URL to extract content from
      * @param int $maxLength Maximum content length (0 = unlimited)
      * @param int $timeout Page load timeout in milliseconds
+     * @param string $format Content format: html, markdown, or text (markdown/text save prompt tokens)
      * @return string Formatted content for AI, or empty string on failure
      */
     public function getForAi(
         string $url,
         int $maxLength = 50000,
         int $timeout = self::DEFAULT_TIMEOUT,
+        string $format = self::DEFAULT_FORMAT,
     ): string {
         Log::debug('🎭 [Playwright] getForAi called', [
             'url' => $url,
             'maxLength' => $maxLength,
             'timeout' => $timeout,
+            'format' => $format,
         ]);
 
-        $result = $this->extract($url, $timeout);
+        $result = $this->extract($url, $timeout, format: $format);
 
         if (!$result['success'] || empty($result['content'])) {
             Log::warning('🎭 [Playwright] getForAi returning empty - extraction failed', [
@@ -10,7 +10,7 @@
 use League\Flysystem\UnableToRetrieveMetadata;
 
 /**
- * S3-only storage for Page assets (raw_html, purified content, screenshots).
+ * S3-only storage for Page assets (raw_html, purified content, screenshots, images).
  *
  * Contract (as per project decision):
  * - DB stores PUBLIC URL (string) in pages.raw_html, pages.content_with_tags_purified, pages.screenshot_path
@@ -65,7 +65,7 @@ public function storePurifiedContent(Page $page, string $text): string
     /**
      * Store a screenshot from a local temporary file and return its public URL.
      *
-     * @param string $ext "png" | "jpg" | "jpeg"
+     * @param string $ext "png" | "jpg" | "jpeg" | "webp"
      * @param array{ContentType?: string, CacheControl?: string} $meta
      */
     public function storeScreenshotFromLocalFile(Page $page, string $absolutePath, string $ext, array $meta = []): string
@@ -87,6 +87,7 @@ public function storeScreenshotFromLocalFile(Page $page, string $absolutePath, s
         $contentType = $meta['ContentType'] ?? match ($ext) {
             'png' => 'image/png',
             'jpg' => 'image/jpeg',
+            'webp' => 'image/webp',
             default => 'application/octet-stream',
         };
 
@@ -99,6 +100,44 @@ public function storeScreenshotFromLocalFile(Page $page, string $absolutePath, s
         return Storage::disk(self::DISK)->url($key);
     }
 
+    /**
+     * Store a downloaded page image (extractor --images-dir) from a local file and return its public URL.
+     *
+     * @param string $ext "jpg" | "png" | "webp" | "avif" | "gif" | "svg"
+     */
+    public function storeImageFromLocalFile(Page $page, string $absolutePath, string $ext): string
+    {
+        if (!is_file($absolutePath)) {
+            throw new \RuntimeException("Image temp file not found: {$absolutePath}");
+        }
+
+        $bytes = file_get_contents($absolutePath);
+        if ($bytes === false) {
+            throw new \RuntimeException("Failed to read image temp file: {$absolutePath}");
+        }
+
+        $ext = strtolower($ext);
+        $ext = $ext === 'jpeg' ? 'jpg' : $ext;
+
+        $key = $this->keyForPage($page, 'images', $ext, $bytes);
+
+        $this->putAndVerify($key, $bytes, [
+            'visibility' => 'public',
+            'ContentType' => match ($ext) {
+                'jpg' => 'image/jpeg',
+                'png' => 'image/png',
+                'webp' => 'image/webp',
+                'avif' => 'image/avif',
+                'gif' => 'image/gif',
+                'svg' => 'image/svg+xml',
+                default => 'application/octet-stream',
+            },
+            'CacheControl' => self::SCREENSHOT_CACHE_CONTROL,
+        ]);
+
+        return Storage::disk(self::DISK)->url($key);
+    }
+
     /**
      * Read S3-hosted text by public URL.
      */
@@ -91,6 +91,20 @@
         '--disable-gpu',
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Playwright Extractor Settings
+    |--------------------------------------------------------------------------
+    |
+    | URL of a running extractor daemon (node scripts/extractor-server.js).
+    | When set, scripts/puppeteer-extract-text.js sends requests to the daemon,
+    | which keeps the browser warm, instead of launching Chromium per page.
+    | Falls back to an in-process browser when the daemon is not reachable.
+    |
+    */
+
+    'extractor_server_url' => env('CRAWLER_EXTRACTOR_SERVER_URL'),
+
     /*
     |--------------------------------------------------------------------------
     | Recrawl Priority Settings
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Long-lived extractor daemon: keeps one Chromium warm and serves extract requests over local HTTP.
+ * puppeteer-extract-text.js uses it when --server=<url> (or EXTRACTOR_SERVER_URL) is set.
+ *
+ * Usage:
+ *   node extractor-server.js [--host=127.0.0.1] [--port=3789] [--pool-size=2] [--max-pages-per-context=50]
+ *   node extractor-server.js health [--server=http://127.0.0.1:3789]
+ *   node extractor-server.js shutdown [--server=http://127.0.0.1:3789]
+ */
+
+import { requestHealth, requestShutdown } from './extractor/client.js';
+import { ExtractorEngine } from './extractor/engine.js';
+import { parseArgv } from './extractor/options.js';
+import { createExtractorServer } from './extractor/server.js';
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3789;
+
+const { positional, options } = parseArgv(process.argv.slice(2));
+const command = positional[0] ?? 'serve';
+
+if (options.has('help') || options.has('h')) {
+    console.log(`
+Usage: node extractor-server.js [command] [options]
+
+Commands:
+  serve (default)      Start the daemon
+  health               Print daemon status as JSON
+  shutdown             Ask a running daemon to close its browser and exit
+
+Options:
+  --host=<host>                 Listen address (default: ${DEFAULT_HOST})
+  --port=<port>                 Listen port (default: ${DEFAULT_PORT})
+  --pool-size=<n>               Max concurrent browser contexts (default: 2)
+  --max-pages-per-context=<n>   Recycle a context after this many pages (default: 50)
+  --server=<url>                Daemon URL for health/shutdown (default: EXTRACTOR_SERVER_URL or http://${DEFAULT_HOST}:${DEFAULT_PORT})
+`);
+    process.exit(0);
+}
+
+if (command === 'health' || command === 'shutdown') {
+    const serverUrl = options.get('server') || process.env.EXTRACTOR_SERVER_URL || `http://${DEFAULT_HOST}:${DEFAULT_PORT}`;
+    try {
+        const { ok, body } = command === 'health'
+            ? await requestHealth(serverUrl)
+            : await requestShutdown(serverUrl);
+        console.log(JSON.stringify(body, null, 2));
+        process.exit(ok ? 0 : 1);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+if (command !== 'serve') {
+    console.error(`Error: Unknown command "${command}"`);
+    process.exit(1);
+}
+
+const host = options.get('host') || DEFAULT_HOST;
+const port = parseInt(options.get('port') || DEFAULT_PORT, 10);
+
+const engine = new ExtractorEngine({
+    poolSize: parseInt(options.get('pool-size') || '2', 10),
+    maxPagesPerContext: parseInt(options.get('max-pages-per-context') || '50', 10),
+});
+
+let shuttingDown = false;
+const shutdown = async () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    console.error('[extractor-server] Shutting down');
+    server.close();
+    await engine.close();
+    process.exit(0);
+};
+
+const server = createExtractorServer(engine, { onShutdown: shutdown });
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+server.listen(port, host, async () => {
+    console.error(`[extractor-server] Listening on http://${host}:${port}`);
+
+    // Warm the browser up front so the first request does not pay for the launch
+    try {
+        await engine.getBrowser();
+        console.error('[extractor-server] Browser ready');
+    } catch (e) {
+        console.error(`[extractor-server] Browser launch failed: ${e.message}`);
+    }
+});
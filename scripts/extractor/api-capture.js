@@ -0,0 +1,104 @@
+/**
+ * Record JSON responses of XHR/fetch calls made during page load.
+ *
+ * SPA shops load price, stock and variants through API calls that never reach the DOM
+ * before we snapshot it; these responses are returned as `apiResponses`.
+ * A response is kept when its URL matches one of the URL patterns OR its content type
+ * matches one of the content-type patterns (both come from the profile / --capture-api).
+ */
+
+import { urlMatcher } from './network.js';
+
+const CAPTURED_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+
+/**
+ * Start recording matching responses on the page.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{ urlPatterns: string[], contentTypes: string[], maxEntries: number, maxBodyBytes: number }} config
+ * @returns {{ results: () => Promise<{ entries: object[], skipped: number }> }}
+ */
+export function captureApiResponses(page, { urlPatterns, contentTypes, maxEntries, maxBodyBytes }) {
+    const urlMatchers = urlPatterns.map(urlMatcher);
+    const types = contentTypes.map(type => type.toLowerCase());
+    const entries = [];
+    const pending = [];
+    let accepted = 0;
+    let skipped = 0;
+
+    if (maxEntries <= 0 || (urlMatchers.length === 0 && types.length === 0)) {
+        return { results: async () => ({ entries, skipped }) };
+    }
+
+    page.on('response', (response) => {
+        const request = response.request();
+        if (!CAPTURED_RESOURCE_TYPES.has(request.resourceType())) return;
+
+        const url = response.url();
+        const contentType = (response.headers()['content-type'] ?? '').toLowerCase();
+        const matches = urlMatchers.some(match => match(url))
+            || types.some(type => contentType.includes(type));
+        if (!matches) return;
+
+        if (accepted >= maxEntries) {
+            skipped++;
+            return;
+        }
+        // Slot taken when the response arrives: bodies finish reading in any order, and the
+        // entries must come out the same on every run of the page
+        const index = accepted++;
+
+        pending.push(readEntry(response, request, contentType, maxBodyBytes)
+            .then((entry) => {
+                entries[index] = entry;
+            }));
+    });
+
+    return {
+        results: async () => {
+            await Promise.all(pending);
+            return { entries, skipped };
+        },
+    };
+}
+
+/**
+ * @returns {Promise<{ url: string, method: string, status: number, contentType: string, size: ?number, truncated: boolean, body: *, bodyType: string, error: ?string }>}
+ */
+async function readEntry(response, request, contentType, maxBodyBytes) {
+    const entry = {
+        url: response.url(),
+        method: request.method(),
+        status: response.status(),
+        contentType,
+        size: null,
+        truncated: false,
+        body: null,
+        bodyType: 'text',
+        error: null,
+    };
+
+    try {
+        const buffer = await response.body();
+        entry.size = buffer.length;
+        entry.truncated = buffer.length > maxBodyBytes;
+
+        const text = buffer.subarray(0, maxBodyBytes).toString('utf8');
+        if (!entry.truncated) {
+            // Complete bodies are returned parsed, so consumers don't double-decode
+            try {
+                entry.body = JSON.parse(text);
+                entry.bodyType = 'json';
+                return entry;
+            } catch {
+                // not JSON after all: keep as text
+            }
+        }
+        entry.body = text;
+    } catch (e) {
+        // Redirects and aborted requests have no body
+        entry.error = e?.message || String(e);
+    }
+
+    return entry;
+}
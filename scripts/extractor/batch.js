@@ -0,0 +1,129 @@
+/**
+ * Batch extraction: many URLs per run with bounded concurrency and a per-host rate limit.
+ *
+ * Each finished page is reported through onResult() as soon as it completes (NDJSON in the CLI),
+ * so one failing URL never aborts the rest of the batch.
+ */
+
+import fs from 'node:fs/promises';
+import { serializeError } from './errors.js';
+
+/**
+ * Read URLs from a file (one per line), or from stdin when path is "-".
+ * Blank lines and lines starting with "#" are ignored.
+ *
+ * @param {string} source File path or "-"
+ * @returns {Promise<string[]>}
+ */
+export async function readUrls(source) {
+    const text = source === '-'
+        ? await readStream(process.stdin)
+        : await fs.readFile(source, 'utf8');
+
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Spaces out request starts to the same host by at least `intervalMs`.
+ */
+export class HostRateLimiter {
+    /**
+     * @param {number} intervalMs Minimum delay between two requests to the same host (0 = unlimited)
+     */
+    constructor(intervalMs) {
+        this.intervalMs = intervalMs;
+        this.nextSlot = new Map();
+    }
+
+    /**
+     * Resolve when a request to this URL's host may start.
+     *
+     * @param {string} url
+     */
+    async wait(url) {
+        if (this.intervalMs <= 0) return;
+
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch {
+            return; // Invalid URLs fail fast in the extractor itself
+        }
+
+        // Reserve the slot synchronously so concurrent workers queue up behind each other
+        const now = Date.now();
+        const at = Math.max(now, this.nextSlot.get(host) ?? 0);
+        this.nextSlot.set(host, at + this.intervalMs);
+
+        if (at > now) {
+            await new Promise(resolve => setTimeout(resolve, at - now));
+        }
+    }
+}
+
+/**
+ * Extract every URL with at most `concurrency` pages in flight.
+ *
+ * @param {string[]} urls
+ * @param {{
+ *   concurrency: number,
+ *   hostDelayMs: number,
+ *   extractOne: (url: string) => Promise<{ ok: boolean, body: object }>,
+ *   onResult: (body: object, ok: boolean) => void,
+ * }} config
+ * @returns {Promise<{ total: number, succeeded: number, failed: number, errorCodes: Object<string, number>, durationMs: number }>}
+ */
+export async function runBatch(urls, { concurrency, hostDelayMs, extractOne, onResult }) {
+    const startTime = Date.now();
+    const limiter = new HostRateLimiter(hostDelayMs);
+    let next = 0;
+    let succeeded = 0;
+    let failed = 0;
+    const errorCodes = {};
+
+    const worker = async () => {
+        while (next < urls.length) {
+            const url = urls[next++];
+            await limiter.wait(url);
+
+            // extractOne reports failures as ok=false; anything it throws is a bug, not a page error
+            let outcome;
+            try {
+                outcome = await extractOne(url);
+            } catch (e) {
+                outcome = { ok: false, body: serializeError(e, url) };
+            }
+
+            if (outcome.ok) {
+                succeeded++;
+            } else {
+                failed++;
+                const code = outcome.body.errorCode ?? 'INTERNAL';
+                errorCodes[code] = (errorCodes[code] ?? 0) + 1;
+            }
+            onResult(outcome.body, outcome.ok);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(concurrency, urls.length)) }, worker);
+    await Promise.all(workers);
+
+    return {
+        total: urls.length,
+        succeeded,
+        failed,
+        errorCodes,
+        durationMs: Date.now() - startTime,
+    };
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
@@ -0,0 +1,259 @@
+/**
+ * Heading-aware chunking of the rendered content for prompts and embeddings (--chunk-tokens).
+ *
+ * The content is cut into blocks (paragraphs, lists, tables, code), never inside a table, list or
+ * code block unless that block alone exceeds the budget. Every heading starts a new chunk; within a
+ * section blocks are packed up to the token budget, and a chunk started because the previous one was
+ * full repeats the previous chunk's last sentences or lines, up to --chunk-overlap tokens.
+ *
+ * Each chunk is an exact slice of `content`: content.slice(start, end) === text.
+ * Token counts are estimates (~4 chars per token for ASCII, ~2.5 for other scripts).
+ */
+
+import { renderContent } from './content-render.js';
+
+// HTML containers that must stay in one block
+const HTML_CONTAINERS = ['table', 'pre', 'ul', 'ol', 'dl', 'blockquote'];
+// Cleaned HTML is mostly one line: blocks start at line breaks or block-level opening tags
+const HTML_BOUNDARY = /\n+|(?=<(?:h[1-6]|p|table|ul|ol|dl|pre|blockquote|figure|section|article|main|aside|nav|form|details)[\s>])/gi;
+// Oversized blocks are cut at lines, then rows/items/paragraphs, then sentences
+const OVERSIZED_SEPARATORS = [/\n/g, /(?=<(?:li|tr|dt|p)[\s>])/gi, /(?<=[.!?…])\s+/g];
+
+/**
+ * Approximate LLM token count.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    const nonAscii = text.match(/[^\x00-\x7f]/g)?.length ?? 0;
+    return Math.ceil((text.length - nonAscii) / 4 + nonAscii / 2.5);
+}
+
+/**
+ * Split rendered content into chunks.
+ *
+ * @param {string} content Rendered content (the `content` field)
+ * @param {object} tree Content tree it was rendered from (headings of the plain-text format)
+ * @param {{ format: 'html'|'markdown'|'text', maxTokens: number, overlapTokens: number }} config
+ * @returns {Array<{ index: number, headingPath: string[], start: number, end: number, tokens: number, overlap: number, text: string }>}
+ *   overlap: characters at the start repeated from the previous chunk
+ */
+export function chunkContent(content, tree, { format, maxTokens, overlapTokens }) {
+    const outline = format === 'text' ? headingOutline(tree) : [];
+    const tokensOf = (start, end) => estimateTokens(content.slice(start, end));
+
+    const chunks = [];
+    let path = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) {
+            chunks.push(current);
+        }
+        current = null;
+    };
+
+    for (const block of splitBlocks(content, format)) {
+        const heading = headingOf(content.slice(block.start, block.end), format, outline);
+        if (heading) {
+            path = [...path.filter(entry => entry.level < heading.level), heading];
+            flush();
+            current = { headingPath: path.map(entry => entry.text), start: block.start, end: block.end, overlap: 0 };
+            continue;
+        }
+
+        // Pieces of an oversized block leave room for the overlap the next piece repeats
+        const pieces = tokensOf(block.start, block.end) > maxTokens
+            ? splitOversized(content, block, maxTokens - overlapTokens)
+            : [block];
+        for (const piece of pieces) {
+            if (current && tokensOf(current.start, piece.end) <= maxTokens) {
+                current.end = piece.end;
+                continue;
+            }
+
+            // Budget exceeded: start a new chunk in the same section, repeating the tail of the last one
+            const previous = current;
+            flush();
+            const start = previous && overlapTokens > 0
+                ? overlapStart(content, previous, piece, { maxTokens, overlapTokens })
+                : piece.start;
+            current = {
+                headingPath: path.map(entry => entry.text),
+                start,
+                end: piece.end,
+                overlap: piece.start - start,
+            };
+        }
+    }
+    flush();
+
+    return chunks.map((chunk, index) => ({
+        index,
+        headingPath: chunk.headingPath,
+        start: chunk.start,
+        end: chunk.end,
+        tokens: tokensOf(chunk.start, chunk.end),
+        overlap: chunk.overlap,
+        text: content.slice(chunk.start, chunk.end),
+    }));
+}
+
+/**
+ * Block boundaries: blank lines (Markdown/text) or block-level tags (HTML), keeping code fences
+ * and HTML containers together.
+ *
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function splitBlocks(content, format) {
+    const pieces = [];
+    let last = 0;
+    for (const match of content.matchAll(format === 'html' ? HTML_BOUNDARY : /\n{2,}/g)) {
+        pieces.push({ start: last, end: match.index });
+        last = match.index + match[0].length;
+    }
+    pieces.push({ start: last, end: content.length });
+
+    const blocks = [];
+    let open = null;
+    for (const piece of pieces) {
+        if (!content.slice(piece.start, piece.end).trim()) continue;
+
+        const block = open ? { start: open.start, end: piece.end } : piece;
+        if (isBalanced(content.slice(block.start, block.end), format)) {
+            blocks.push(block);
+            open = null;
+        } else {
+            open = block;
+        }
+    }
+    if (open) {
+        blocks.push(open);
+    }
+
+    return blocks;
+}
+
+function isBalanced(text, format) {
+    if (format !== 'html') {
+        return (text.match(/^```/gm)?.length ?? 0) % 2 === 0;
+    }
+    return HTML_CONTAINERS.every(tag => (text.match(new RegExp(`<${tag}[\\s>]`, 'gi'))?.length ?? 0)
+        <= (text.match(new RegExp(`</${tag}>`, 'gi'))?.length ?? 0));
+}
+
+/**
+ * @returns {?{ level: number, text: string }}
+ */
+function headingOf(text, format, outline) {
+    if (format === 'markdown') {
+        const match = text.match(/^(#{1,6}) (.+)$/);
+        return match ? { level: match[1].length, text: match[2].trim() } : null;
+    }
+    if (format === 'html') {
+        const match = text.match(/^<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/i);
+        return match ? { level: Number(match[1]), text: match[2].replace(/<[^>]+>/g, '').trim() } : null;
+    }
+
+    // Plain text has no markup: match the next heading of the tree, in document order
+    const index = outline.findIndex(entry => entry.text === text.trim());
+    if (index === -1) {
+        return null;
+    }
+    return outline.splice(0, index + 1).pop();
+}
+
+/**
+ * Headings of the content tree, in document order.
+ *
+ * @returns {Array<{ level: number, text: string }>}
+ */
+function headingOutline(tree) {
+    const headings = [];
+    const walk = (node) => {
+        if (typeof node === 'string') return;
+        const level = /^H([1-6])$/.exec(node.t ?? '');
+        if (level) {
+            const text = renderContent(node, 'text');
+            if (text) headings.push({ level: Number(level[1]), text });
+            return;
+        }
+        node.c.forEach(walk);
+    };
+    walk(tree);
+    return headings;
+}
+
+/**
+ * Cut a block that alone exceeds the budget at line, then sentence, then character boundaries.
+ *
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function splitOversized(content, block, maxTokens) {
+    const pieces = [];
+    const push = (start, end) => {
+        const text = content.slice(start, end);
+        const leading = text.length - text.trimStart().length;
+        const trailing = text.length - text.trimEnd().length;
+        if (end - trailing > start + leading) {
+            pieces.push({ start: start + leading, end: end - trailing });
+        }
+    };
+
+    const split = (start, end, separators) => {
+        const tokens = estimateTokens(content.slice(start, end));
+        if (tokens <= maxTokens) {
+            push(start, end);
+            return;
+        }
+        if (separators.length === 0) {
+            const step = Math.max(1, Math.floor((end - start) * maxTokens / tokens));
+            for (let at = start; at < end; at += step) {
+                push(at, Math.min(end, at + step));
+            }
+            return;
+        }
+
+        // Pack separator-delimited parts greedily, recursing into parts that are still too big
+        const [separator, ...rest] = separators;
+        let partStart = start;
+        let packStart = start;
+        const cut = (at) => {
+            if (estimateTokens(content.slice(packStart, at)) > maxTokens) {
+                if (partStart > packStart) split(packStart, partStart, rest);
+                packStart = partStart;
+            }
+            partStart = at;
+        };
+        for (const match of content.slice(start, end).matchAll(separator)) {
+            cut(start + match.index + match[0].length);
+        }
+        cut(end);
+        split(packStart, end, rest);
+    };
+
+    split(block.start, block.end, OVERSIZED_SEPARATORS);
+    return pieces;
+}
+
+/**
+ * Earliest line or sentence start in the previous chunk whose tail fits the overlap budget
+ * (and keeps the new chunk within the chunk budget); word starts when no sentence fits.
+ *
+ * @returns {number} Start offset of the new chunk
+ */
+function overlapStart(content, previous, piece, { maxTokens, overlapTokens }) {
+    const text = content.slice(previous.start, previous.end);
+    for (const boundary of [/\n+|(?<=[.!?…])\s+/g, /\s+/g]) {
+        const starts = [previous.start, ...[...text.matchAll(boundary)].map(match => previous.start + match.index + match[0].length)];
+        for (const start of starts) {
+            if (start < previous.end
+                && estimateTokens(content.slice(start, previous.end)) <= overlapTokens
+                && estimateTokens(content.slice(start, piece.end)) <= maxTokens) {
+                return start;
+            }
+        }
+    }
+    return piece.start;
+}
@@ -0,0 +1,88 @@
+/**
+ * HTTP client for the extractor daemon (see server.js).
+ */
+
+/**
+ * Error raised when the daemon cannot be reached at all (not running, wrong port) or something
+ * else answers in its place.
+ */
+export class DaemonUnavailableError extends Error {
+    constructor(serverUrl, cause) {
+        super(`Extractor daemon is not reachable at ${serverUrl}: ${cause?.message || cause}`);
+        this.name = 'DaemonUnavailableError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Send an extraction request to the daemon.
+ *
+ * @param {string} serverUrl e.g. http://127.0.0.1:3789
+ * @param {object} options Normalized extraction options
+ * @returns {Promise<{ ok: boolean, body: object }>} ok=false carries the serialized error (see errors.js)
+ * @throws {DaemonUnavailableError}
+ */
+export async function requestExtraction(serverUrl, options) {
+    // Leave the daemon room to hit its own navigation timeout first, on every attempt, and to wait
+    // out the backoff between attempts (retryDelayMs, doubled each time)
+    const backoffMs = options.retryDelayMs * (2 ** options.retries - 1);
+    return call(serverUrl, 'POST', '/extract', options, (options.timeout + 60000) * (options.retries + 1) + backoffMs);
+}
+
+/**
+ * @param {string} serverUrl
+ * @returns {Promise<{ ok: boolean, body: object }>}
+ * @throws {DaemonUnavailableError}
+ */
+export async function requestHealth(serverUrl) {
+    return call(serverUrl, 'GET', '/health', undefined, 5000);
+}
+
+/**
+ * @param {string} serverUrl
+ * @returns {Promise<{ ok: boolean, body: object }>}
+ * @throws {DaemonUnavailableError}
+ */
+export async function requestShutdown(serverUrl) {
+    return call(serverUrl, 'POST', '/shutdown', {}, 5000);
+}
+
+async function call(serverUrl, method, pathname, body, timeoutMs) {
+    let response;
+    try {
+        response = await fetch(new URL(pathname, serverUrl), {
+            method,
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+    } catch (e) {
+        // fetch() wraps socket errors (ECONNREFUSED, ENOTFOUND) in a TypeError with a cause
+        if (e?.name === 'TypeError') {
+            throw new DaemonUnavailableError(serverUrl, e.cause ?? e);
+        }
+        throw e;
+    }
+
+    // A proxy in front of the daemon (or another service on its port) answers with its own error
+    // page: that is no daemon either, so the caller falls back to the in-process browser
+    const contentType = response.headers.get('content-type') ?? '';
+    if (!/^application\/json\b/i.test(contentType)) {
+        throw new DaemonUnavailableError(serverUrl, `HTTP ${response.status} with ${contentType || 'no content type'} instead of JSON`);
+    }
+
+    const text = await response.text();
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        throw new DaemonUnavailableError(serverUrl, `HTTP ${response.status} with an invalid JSON body (${e.message})`);
+    }
+
+    // Failures of the daemon itself are serialized errors (see errors.js) and carry an errorCode
+    if (!response.ok && typeof json?.errorCode !== 'string') {
+        throw new DaemonUnavailableError(serverUrl, `HTTP ${response.status} without an extractor error`);
+    }
+
+    return { ok: response.ok, body: json };
+}
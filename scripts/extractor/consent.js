@@ -0,0 +1,201 @@
+/**
+ * Cookie/consent banner auto-dismissal.
+ *
+ * Known consent management platforms (CMPs) are handled by explicit rules; anything else falls back
+ * to a generic heuristic: a fixed/modal container named like a consent dialog (id, class or
+ * aria-label) that holds an "accept"/"close" button (English, Russian, Ukrainian and a few other
+ * languages). Links are never clicked, and a click that navigates away is undone with goBack().
+ * If clicking fails, the container is removed from the DOM so it doesn't cover the screenshot.
+ *
+ * Site profiles can add rules with the same shape under "consentRules".
+ */
+
+/**
+ * Rule shape:
+ *   name       Reported in the output when the rule fires
+ *   detect     Selector of the banner (rule applies only when it is visible)
+ *   accept     Selector(s) of the button to click, tried in order
+ *   frameUrl   Optional: substring of the iframe URL that hosts the banner
+ */
+export const CMP_RULES = [
+    { name: 'onetrust', detect: '#onetrust-banner-sdk, #onetrust-consent-sdk .ot-sdk-container', accept: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'] },
+    { name: 'cookiebot', detect: '#CybotCookiebotDialog', accept: ['#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', '#CybotCookiebotDialogBodyButtonAccept', '#CybotCookiebotDialogBodyLevelButtonAccept'] },
+    { name: 'didomi', detect: '#didomi-popup, #didomi-notice', accept: ['#didomi-notice-agree-button', '.didomi-continue-without-agreeing'] },
+    { name: 'quantcast', detect: '.qc-cmp2-container', accept: ['.qc-cmp2-summary-buttons button[mode="primary"]', '.qc-cmp2-footer button[mode="primary"]'] },
+    { name: 'usercentrics', detect: '#usercentrics-root, #uc-center-container', accept: ['[data-testid="uc-accept-all-button"]', 'button#uc-btn-accept-banner'] },
+    { name: 'cookieyes', detect: '.cky-consent-container, #cookie-law-info-bar', accept: ['.cky-btn-accept', '#cookie_action_close_header', '#wt-cli-accept-all-btn'] },
+    { name: 'complianz', detect: '.cmplz-cookiebanner', accept: ['.cmplz-btn.cmplz-accept'] },
+    { name: 'osano', detect: '.osano-cm-dialog', accept: ['.osano-cm-accept-all', '.osano-cm-accept'] },
+    { name: 'iubenda', detect: '#iubenda-cs-banner', accept: ['.iubenda-cs-accept-btn'] },
+    { name: 'klaro', detect: '.klaro .cookie-notice, .klaro .cookie-modal', accept: ['.klaro .cm-btn-success', '.klaro .cm-btn-accept-all'] },
+    { name: 'axeptio', detect: '#axeptio_overlay', accept: ['#axeptio_btn_acceptAll'] },
+    { name: 'google-funding-choices', detect: '.fc-consent-root', accept: ['.fc-cta-consent', '.fc-primary-button'] },
+    { name: 'cookie-notice', detect: '#cookie-notice', accept: ['#cn-accept-cookie'] },
+    { name: 'borlabs', detect: '#BorlabsCookieBox', accept: ['#BorlabsCookieBox a[data-cookie-accept-all]', '#BorlabsCookieBox a[data-cookie-accept]'] },
+    { name: 'trustarc', detect: '#truste-consent-track', accept: ['#truste-consent-button'] },
+    { name: 'sourcepoint', frameUrl: 'privacy-mgmt', detect: '.message-container', accept: ['button[title="Accept all"]', 'button[title="Accept"]', 'button.sp_choice_type_11'] },
+];
+
+/**
+ * Try CMP rules, then the generic heuristic.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object[]} extraRules Site-specific rules from the profile (tried first)
+ * @returns {Promise<{ handled: boolean, kind: ?('cmp'|'generic'), rule: ?string, action: ?('click'|'remove'), selector: ?string, text: ?string, error: ?string, durationMs: number }>}
+ */
+export async function dismissConsent(page, extraRules = []) {
+    const startTime = Date.now();
+    const report = { handled: false, kind: null, rule: null, action: null, selector: null, text: null, error: null, durationMs: 0 };
+
+    try {
+        for (const rule of [...extraRules, ...CMP_RULES]) {
+            const result = await applyRule(page, rule);
+            if (result) {
+                Object.assign(report, { handled: true, kind: 'cmp', rule: rule.name }, result);
+                return report;
+            }
+        }
+
+        const result = await applyGeneric(page);
+        if (result) {
+            Object.assign(report, { handled: true, kind: 'generic' }, result);
+        }
+    } catch (e) {
+        report.error = e?.message || String(e);
+    } finally {
+        report.durationMs = Date.now() - startTime;
+    }
+
+    return report;
+}
+
+/**
+ * @returns {Promise<?{ action: string, selector: string, error: ?string }>} null when the rule does not apply
+ */
+async function applyRule(page, rule) {
+    const frames = rule.frameUrl
+        ? page.frames().filter(frame => frame.url().includes(rule.frameUrl))
+        : [page.mainFrame()];
+
+    for (const frame of frames) {
+        const banner = frame.locator(rule.detect).first();
+        if (await banner.count() === 0 || !await banner.isVisible().catch(() => false)) continue;
+
+        let lastError = null;
+        for (const selector of [].concat(rule.accept)) {
+            const button = frame.locator(selector).first();
+            if (await button.count() === 0) continue;
+            try {
+                await button.click({ timeout: 2000 });
+                await page.waitForTimeout(300);
+                return { action: 'click', selector, error: null };
+            } catch (e) {
+                lastError = e?.message || String(e);
+            }
+        }
+
+        // Banner is there but can't be accepted: get it out of the way
+        if (!rule.frameUrl) {
+            await banner.evaluate(el => el.remove()).catch(() => {});
+            return { action: 'remove', selector: rule.detect, error: lastError };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @returns {Promise<?{ handled?: false, action: ?string, selector: ?string, text: ?string, error: ?string }>}
+ */
+async function applyGeneric(page) {
+    const candidate = await page.evaluate(findConsentButton);
+    if (!candidate) return null;
+
+    const startUrl = page.url();
+    try {
+        await page.locator('[data-extractor-consent="button"]').first().click({ timeout: 2000 });
+        await page.waitForTimeout(300);
+
+        // Not a consent button after all: undo the navigation and report the step as failed
+        const url = page.url();
+        if (url.split('#')[0] !== startUrl.split('#')[0]) {
+            await page.goBack({ waitUntil: 'load', timeout: 10000 }).catch(() => {});
+            return { handled: false, action: null, selector: candidate.selector, text: candidate.text, error: `Click navigated to ${url}` };
+        }
+        return { action: 'click', selector: candidate.selector, text: candidate.text, error: null };
+    } catch (e) {
+        await page.evaluate(() => document.querySelector('[data-extractor-consent="container"]')?.remove()).catch(() => {});
+        return { action: 'remove', selector: candidate.selector, text: candidate.text, error: e?.message || String(e) };
+    } finally {
+        await page.evaluate(() => {
+            for (const el of document.querySelectorAll('[data-extractor-consent]')) {
+                el.removeAttribute('data-extractor-consent');
+            }
+        }).catch(() => {});
+    }
+}
+
+/**
+ * Find an accept/close button inside a visible consent-like overlay (evaluated in the page).
+ * Marks the button and its container with data-extractor-consent so Playwright can click it.
+ *
+ * @returns {?{ selector: string, text: string }}
+ */
+export function findConsentButton() {
+    const ACCEPT = [
+        // English
+        /^(accept|accept all|accept all cookies|accept cookies|allow all|allow cookies|agree|i agree|i accept|got it|ok|okay|continue|understood)$/i,
+        // Russian
+        /^(принять|принять все|принять всё|принимаю|согласен|согласна|я согласен|хорошо|понятно|ок|разрешить|разрешить все|продолжить)$/i,
+        // Ukrainian
+        /^(прийняти|прийняти все|прийняти всі|приймаю|погоджуюсь|погоджуюся|згоден|згодна|зрозуміло|добре|дозволити|дозволити все|продовжити)$/i,
+        // German, Polish, French, Spanish, Italian
+        /^(akzeptieren|alle akzeptieren|zustimmen|einverstanden|akceptuj|akceptuję|zgadzam się|accepter|tout accepter|j'accepte|aceptar|aceptar todo|accetta|accetta tutto)$/i,
+    ];
+    const CLOSE = /^(close|закрыть|закрити|schließen|zamknij|fermer|cerrar|chiudi|×|✕|x)$/i;
+    const CONSENT_HINT = /cookie|consent|gdpr|privacy|cmp|кук|згод|соглас/i;
+
+    const isVisible = (el) => {
+        const style = window.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0'
+            && rect.width > 0 && rect.height > 0;
+    };
+
+    const describe = (el) => {
+        if (el.id) return `#${CSS.escape(el.id)}`;
+        const classes = [...el.classList].slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+        return el.tagName.toLowerCase() + classes;
+    };
+
+    const label = (el) => (el.innerText || el.value || el.getAttribute('aria-label') || el.title || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Overlays (dialogs, fixed/sticky layers) named like a consent banner; text mentioning
+    // "privacy" somewhere inside a fixed header or chat widget is not enough
+    const containers = [...document.querySelectorAll('body *')].filter((el) => {
+        if (!isVisible(el)) return false;
+        const style = window.getComputedStyle(el);
+        const overlay = style.position === 'fixed' || style.position === 'sticky'
+            || el.getAttribute('role') === 'dialog' || el.getAttribute('aria-modal') === 'true';
+        return overlay && CONSENT_HINT.test(`${el.id} ${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('aria-label') ?? ''}`);
+    });
+
+    for (const container of containers) {
+        // No links: "continue"/"ok" links lead to other pages
+        const buttons = [...container.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"]')]
+            .filter(isVisible);
+
+        const accept = buttons.find(b => ACCEPT.some(re => re.test(label(b))));
+        const close = accept ? null : buttons.find(b => CLOSE.test(label(b)) || CLOSE.test(b.getAttribute('aria-label') || ''));
+        const button = accept ?? close;
+        if (!button) continue;
+
+        container.setAttribute('data-extractor-consent', 'container');
+        button.setAttribute('data-extractor-consent', 'button');
+        return { selector: `${describe(container)} ${describe(button)}`, text: label(button) };
+    }
+
+    return null;
+}
@@ -0,0 +1,347 @@
+/**
+ * Renderers for the content tree produced by snapshotContent() (see page-scripts.js).
+ *
+ *   html      Cleaned pseudo-HTML (the historical `content` format)
+ *   markdown  Headings, lists, pipe tables, [text](href) links
+ *   text      Normalized plain text, one block per line
+ *
+ * Content inlined from shadow roots and iframes is marked in HTML (<div data-origin="...">) and,
+ * for iframes, in Markdown (<!-- iframe: src -->); plain text carries no markers.
+ */
+
+export const FORMATS = ['html', 'markdown', 'text'];
+
+// Block-level tags get newlines
+const HTML_BLOCK_TAGS = new Set([
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'P', 'BLOCKQUOTE', 'PRE',
+    'UL', 'OL', 'LI',
+    'TABLE', 'TR', 'THEAD', 'TBODY',
+    'DL', 'DT', 'DD',
+    'ARTICLE', 'SECTION', 'HEADER', 'MAIN', 'NAV', 'ASIDE',
+    'FIGURE', 'FIGCAPTION',
+    'FORM', 'DETAILS', 'SUMMARY'
+]);
+
+// Tags rendered as separate paragraphs in Markdown/text
+const BLOCK_TAGS = new Set([
+    'P', 'DIV', 'ARTICLE', 'SECTION', 'MAIN', 'NAV', 'ASIDE',
+    'FIGURE', 'FIGCAPTION', 'FORM', 'DETAILS', 'SUMMARY', 'ADDRESS', 'DL', 'DT', 'DD',
+]);
+
+/**
+ * Render the tree in the given format.
+ *
+ * @param {object|string} tree Root returned by snapshotContent()
+ * @param {'html'|'markdown'|'text'} format
+ * @returns {string}
+ */
+export function renderContent(tree, format) {
+    switch (format) {
+        case 'html':
+            return renderHtml(tree);
+        case 'markdown':
+            return finishBlocks(renderBlock(tree, MARKDOWN, {}));
+        case 'text':
+            return finishBlocks(renderBlock(tree, TEXT, {}));
+        default:
+            throw new TypeError(`Unknown content format: ${format}`);
+    }
+}
+
+/**
+ * Render cleaned HTML exactly as the original single-pass walker did.
+ *
+ * @param {object|string} tree
+ * @returns {string}
+ */
+export function renderHtml(tree) {
+    return htmlNode(tree)
+        .replace(/[ \t]+/g, ' ')           // Multiple spaces to single
+        .replace(/\n\s*\n\s*\n/g, '\n\n')  // Multiple newlines to double
+        .replace(/^\s+|\s+$/gm, '')        // Trim each line
+        .replace(/> +</g, '><')            // Remove space between tags
+        .replace(/>\s+/g, '>')             // Remove space after opening tags
+        .replace(/\s+</g, '<')             // Remove space before closing tags
+        .replace(/<(\w+)([^>]*)>\s*<\/\1>/g, '') // Remove empty tags
+        .trim();
+}
+
+function htmlNode(node) {
+    if (typeof node === 'string') {
+        return node + ' ';
+    }
+
+    const childContent = node.c.map(htmlNode).join('').trim();
+
+    // Non-semantic tags - just return child content
+    if (node.t === null) {
+        if (node.o && childContent) {
+            return `\n<div${originAttributes(node.o)}>${childContent}</div>\n`;
+        }
+        return childContent ? childContent + ' ' : '';
+    }
+
+    const tagName = node.t;
+    const has = (name) => node.a.some(([attrName]) => attrName === name);
+    const attrs = node.a
+        .map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+        .join('');
+
+    // Special handling for self-closing/empty tags
+    if (tagName === 'IMG') {
+        // IMG tags are valuable for alt text; skip images without alt/title
+        return (has('alt') || has('title')) ? `<img${attrs}> ` : '';
+    }
+
+    if (tagName === 'BR') {
+        return '\n';
+    }
+
+    if (tagName === 'HR') {
+        return '\n---\n';
+    }
+
+    // INPUT, BUTTON handling
+    if (tagName === 'INPUT') {
+        return (has('value') || has('placeholder') || has('name')) ? `<input${attrs}> ` : '';
+    }
+
+    if (tagName === 'BUTTON' && childContent) {
+        return `<button${attrs}>${childContent}</button> `;
+    }
+
+    if (tagName === 'DIV' || tagName === 'SPAN') {
+        // Skip empty containers (div, span without content or useful attrs)
+        if (!childContent && !attrs) {
+            return '';
+        }
+        // Unwrap div/span if they only have content, no useful attributes
+        if (!attrs) {
+            // Keep semantic structure with line breaks for divs
+            return tagName === 'DIV' ? childContent + '\n' : childContent;
+        }
+    }
+
+    // Skip empty tags (except self-closing ones already handled)
+    if (!childContent && !attrs) {
+        return '';
+    }
+
+    const isBlock = HTML_BLOCK_TAGS.has(tagName);
+    const prefix = isBlock ? '\n' : '';
+    const suffix = isBlock ? '\n' : ' ';
+
+    // Build the tag
+    const lowerTag = tagName.toLowerCase();
+    return `${prefix}<${lowerTag}${attrs}>${childContent}</${lowerTag}>${suffix}`;
+}
+
+/*
+ * Markdown and plain text share one block renderer; a dialect decides the markup.
+ * Blocks are separated by "\n\n" and collapsed in finishBlocks().
+ */
+
+const MARKDOWN = {
+    origin: (origin) => (origin.type === 'iframe' ? `<!-- iframe: ${origin.src} -->` : ''),
+    heading: (level, text) => `${'#'.repeat(level)} ${text}`,
+    listMarker: (ordered, index) => (ordered ? `${index + 1}. ` : '- '),
+    strong: (text) => `**${text}**`,
+    emphasis: (text) => `*${text}*`,
+    code: (text) => `\`${text}\``,
+    codeBlock: (text) => '```\n' + text + '\n```',
+    quote: (text) => text.split('\n').map(line => `> ${line}`).join('\n'),
+    link: (text, url) => (url && /^https?:/i.test(url) ? `[${text}](${url})` : text),
+    image: (alt, url) => (url ? `![${alt}](${url})` : ''),
+    rule: '---',
+    table: (rows) => {
+        const width = Math.max(...rows.map(row => row.length));
+        const line = (cells) => `| ${Array.from({ length: width }, (_, i) => (cells[i] ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+        return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+    },
+    term: (text) => `**${text}**`,
+};
+
+const TEXT = {
+    origin: () => '',
+    heading: (level, text) => text,
+    listMarker: () => '- ',
+    strong: (text) => text,
+    emphasis: (text) => text,
+    code: (text) => text,
+    codeBlock: (text) => text,
+    quote: (text) => text,
+    link: (text) => text,
+    image: () => '',
+    rule: '',
+    table: (rows) => rows.map(row => row.join('\t')).join('\n'),
+    term: (text) => text,
+};
+
+function renderBlock(node, dialect, ctx) {
+    if (typeof node === 'string') {
+        return ctx.pre ? node : node.replace(/\s+/g, ' ');
+    }
+
+    const children = (childCtx = ctx) => joinInline(node.c.map(child => renderBlock(child, dialect, childCtx)));
+    const tag = node.t;
+
+    if (tag === null) {
+        const marker = node.o ? dialect.origin(node.o) : '';
+        if (marker) {
+            const text = children();
+            return text.trim() ? `\n\n${marker}\n\n${text}\n\n` : '';
+        }
+        return children();
+    }
+
+    const level = /^H([1-6])$/.exec(tag);
+    if (level) {
+        const text = inlineText(children());
+        return text ? `\n\n${dialect.heading(Number(level[1]), text)}\n\n` : '';
+    }
+
+    switch (tag) {
+        case 'BR':
+            return '\n';
+        case 'HR':
+            return dialect.rule ? `\n\n${dialect.rule}\n\n` : '\n\n';
+        case 'IMG': {
+            const alt = attr(node, 'alt') ?? attr(node, 'title');
+            return alt ? dialect.image(alt, node.u) : '';
+        }
+        case 'INPUT':
+        case 'TEXTAREA':
+            return '';
+        case 'A': {
+            const text = inlineText(children());
+            return text ? dialect.link(text, node.u) : '';
+        }
+        case 'STRONG':
+        case 'B': {
+            const text = inlineText(children());
+            return text ? dialect.strong(text) : '';
+        }
+        case 'EM':
+        case 'I': {
+            const text = inlineText(children());
+            return text ? dialect.emphasis(text) : '';
+        }
+        case 'CODE': {
+            if (ctx.pre) return children();
+            const text = inlineText(children());
+            return text ? dialect.code(text) : '';
+        }
+        case 'PRE': {
+            const text = children({ ...ctx, pre: true }).replace(/^\n+|\s+$/g, '');
+            return text ? `\n\n${dialect.codeBlock(text)}\n\n` : '';
+        }
+        case 'BLOCKQUOTE': {
+            const text = finishBlocks(children());
+            return text ? `\n\n${dialect.quote(text)}\n\n` : '';
+        }
+        case 'UL':
+        case 'OL':
+            return renderList(node, dialect, ctx);
+        case 'LI':
+            // LI outside of a list: render as a single item
+            return renderList({ t: 'UL', a: [], c: [node] }, dialect, ctx);
+        case 'TABLE':
+            return renderTable(node, dialect, ctx);
+        case 'DT': {
+            const text = inlineText(children());
+            return text ? `\n\n${dialect.term(text)}\n` : '';
+        }
+        case 'DD': {
+            const text = finishBlocks(children());
+            return text ? `\n${text}\n\n` : '';
+        }
+        case 'SELECT': {
+            const options = node.c
+                .map(child => inlineText(renderBlock(child, dialect, ctx)))
+                .filter(Boolean);
+            return options.join(', ');
+        }
+        default:
+            break;
+    }
+
+    if (BLOCK_TAGS.has(tag)) {
+        const text = children();
+        return text.trim() ? `\n\n${text}\n\n` : '';
+    }
+
+    return children();
+}
+
+function renderList(node, dialect, ctx) {
+    const items = [];
+    let index = 0;
+
+    for (const child of node.c) {
+        const isItem = typeof child !== 'string' && child.t === 'LI';
+        const body = finishBlocks(isItem
+            ? joinInline(child.c.map(c => renderBlock(c, dialect, ctx)))
+            : renderBlock(child, dialect, ctx));
+        if (!body) continue;
+
+        const marker = dialect.listMarker(node.t === 'OL', index++);
+        const lines = body.split('\n').filter(line => line.trim());
+        items.push(lines.map((line, i) => (i === 0 ? marker : ' '.repeat(marker.length)) + line).join('\n'));
+    }
+
+    return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+}
+
+function renderTable(node, dialect, ctx) {
+    const rows = [];
+    const collectRows = (parent) => {
+        for (const child of parent.c) {
+            if (typeof child === 'string') continue;
+            if (child.t === 'TR') {
+                const cells = child.c
+                    .filter(cell => typeof cell !== 'string' && (cell.t === 'TH' || cell.t === 'TD'))
+                    .map(cell => inlineText(finishBlocks(joinInline(cell.c.map(c => renderBlock(c, dialect, ctx))))));
+                if (cells.some(Boolean)) rows.push(cells);
+            } else if (child.t === null || child.t === 'THEAD' || child.t === 'TBODY') {
+                collectRows(child);
+            }
+        }
+    };
+    collectRows(node);
+
+    return rows.length > 0 ? `\n\n${dialect.table(rows)}\n\n` : '';
+}
+
+function originAttributes(origin) {
+    return origin.type === 'iframe'
+        ? ` data-origin="iframe" data-src="${origin.src.replace(/"/g, '&quot;')}"`
+        : ` data-origin="shadow" data-host="${origin.host}"`;
+}
+
+function attr(node, name) {
+    return node.a.find(([attrName]) => attrName === name)?.[1] ?? null;
+}
+
+function joinInline(parts) {
+    // Text nodes were trimmed in the page, so put a space between inline siblings
+    return parts.reduce((out, part) => {
+        if (!part) return out;
+        if (!out || /\s$/.test(out) || /^[\s.,;:!?)]/.test(part)) return out + part;
+        return out + ' ' + part;
+    }, '');
+}
+
+function inlineText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function finishBlocks(text) {
+    // Leading indentation is kept: nested list items rely on it
+    return text
+        .split('\n')
+        .map(line => line.replace(/(\S) {2,}/g, '$1 ').trimEnd())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
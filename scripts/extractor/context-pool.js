@@ -0,0 +1,132 @@
+/**
+ * Pool of browser contexts reused across extractions.
+ *
+ * Contexts are keyed by their creation options (user agent, viewport, mobile emulation, locale,
+ * timezone, geolocation, extra headers, proxy),
+ * so a request only reuses a context that was created with the same settings.
+ * A context is recycled (closed) after `maxPagesPerContext` pages or when a page in it crashed.
+ * Fresh contexts (e.g. recording a HAR) are never shared and are closed on release.
+ */
+
+export class ContextPool {
+    /**
+     * @param {() => Promise<import('playwright').Browser>} getBrowser Returns a connected browser
+     * @param {{ size?: number, maxPagesPerContext?: number }} [config]
+     */
+    constructor(getBrowser, { size = 2, maxPagesPerContext = 50 } = {}) {
+        this.getBrowser = getBrowser;
+        this.size = Math.max(1, size);
+        this.maxPagesPerContext = Math.max(1, maxPagesPerContext);
+
+        /** @type {Array<{ key: string, context: import('playwright').BrowserContext, pages: number, crashed: boolean }>} */
+        this.idle = [];
+        this.active = 0;
+        this.waiters = [];
+        this.stats = { created: 0, recycled: 0 };
+    }
+
+    /**
+     * Wait for a free slot and return a context created with the given options.
+     *
+     * @param {object} contextOptions Options for browser.newContext()
+     * @param {{ fresh?: boolean }} [config] fresh: always create a new context, closed on release
+     * @returns {Promise<{ key: string, context: import('playwright').BrowserContext, pages: number, crashed: boolean, fresh: boolean }>}
+     */
+    async acquire(contextOptions, { fresh = false } = {}) {
+        await this.waitForSlot();
+
+        try {
+            const key = JSON.stringify(contextOptions);
+            const index = fresh ? -1 : this.idle.findIndex(entry => entry.key === key);
+            if (index !== -1) {
+                const [entry] = this.idle.splice(index, 1);
+                if (entry.context.browser()?.isConnected()) {
+                    return entry;
+                }
+                await this.close(entry);
+            }
+
+            // Make room: active + idle contexts never exceed the pool size
+            while (this.idle.length > 0 && this.active + this.idle.length > this.size) {
+                await this.close(this.idle.shift());
+            }
+
+            const browser = await this.getBrowser();
+            const context = await browser.newContext(contextOptions);
+            this.stats.created++;
+
+            return { key, context, pages: 0, crashed: false, fresh };
+        } catch (e) {
+            this.freeSlot();
+            throw e;
+        }
+    }
+
+    /**
+     * Return a context to the pool, recycling it when it is worn out or crashed.
+     *
+     * @param {{ key: string, context: import('playwright').BrowserContext, pages: number, crashed: boolean, fresh: boolean }} entry
+     */
+    async release(entry) {
+        entry.pages++;
+
+        try {
+            const connected = entry.context.browser()?.isConnected() ?? false;
+            if (entry.fresh || entry.crashed || !connected || entry.pages >= this.maxPagesPerContext) {
+                await this.close(entry);
+            } else {
+                this.idle.push(entry);
+            }
+        } finally {
+            this.freeSlot();
+        }
+    }
+
+    /**
+     * Close every idle context. Active contexts are closed by their holders on release.
+     */
+    async drain() {
+        const entries = this.idle.splice(0);
+        await Promise.all(entries.map(entry => this.close(entry)));
+    }
+
+    /**
+     * @returns {{ size: number, active: number, idle: number, waiting: number, created: number, recycled: number }}
+     */
+    status() {
+        return {
+            size: this.size,
+            active: this.active,
+            idle: this.idle.length,
+            waiting: this.waiters.length,
+            ...this.stats,
+        };
+    }
+
+    async waitForSlot() {
+        if (this.active < this.size) {
+            this.active++;
+            return;
+        }
+        // The slot is handed over directly by freeSlot(), so `active` stays unchanged
+        await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    freeSlot() {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async close(entry) {
+        this.stats.recycled++;
+        try {
+            await entry.context.close();
+        } catch {
+            // Context may already be gone together with its browser
+        }
+    }
+}
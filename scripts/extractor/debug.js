@@ -0,0 +1,198 @@
+/**
+ * Debug artifacts, so failures on a specific shop can be investigated without re-running it:
+ *
+ *   --trace=<path>  Playwright trace zip (npx playwright show-trace <path>)
+ *   --har=<path>    HAR of every request with bodies (replayable with page.routeFromHAR)
+ *
+ * Browser console messages, uncaught page errors and failed requests are always recorded in the
+ * `debug` section of the output (also on failures).
+ *
+ * Everything is capped: MAX_ENTRIES per list (the rest is only counted), messages cut at
+ * MAX_MESSAGE_LENGTH, .har bodies dropped largest first above HAR_MAX_BYTES, HAR zips above
+ * HAR_MAX_BYTES and traces above TRACE_MAX_BYTES deleted.
+ */
+
+import fs from 'node:fs/promises';
+
+const MAX_ENTRIES = 50;
+const MAX_MESSAGE_LENGTH = 1000;
+const HAR_MAX_BYTES = 20 * 1024 * 1024;
+const TRACE_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Record console messages, page errors and failed requests of a page.
+ *
+ * @param {import('playwright').Page} page
+ * @returns {{ report: () => object }} report() returns the `debug` section (without trace/har)
+ */
+export function watchPage(page) {
+    const lists = {
+        console: capped(),
+        pageErrors: capped(),
+        failedRequests: capped(),
+    };
+
+    page.on('console', (message) => {
+        const location = message.location();
+        lists.console.push({
+            type: message.type(),
+            text: truncate(message.text()),
+            location: location?.url ? `${location.url}:${location.lineNumber}:${location.columnNumber}` : null,
+        });
+    });
+    page.on('pageerror', (error) => {
+        lists.pageErrors.push({
+            name: error?.name || 'Error',
+            message: truncate(error?.message || String(error)),
+            stack: error?.stack ? truncate(error.stack) : null,
+        });
+    });
+    page.on('requestfailed', (request) => {
+        const failure = request.failure()?.errorText ?? null;
+        // Requests aborted by our own block lists are counted in network stats instead
+        if (failure?.includes('ERR_BLOCKED_BY_CLIENT')) return;
+
+        lists.failedRequests.push({
+            url: truncate(request.url()),
+            method: request.method(),
+            resourceType: request.resourceType(),
+            status: null,
+            failure,
+        });
+    });
+    page.on('response', (response) => {
+        if (response.status() < 400) return;
+
+        const request = response.request();
+        lists.failedRequests.push({
+            url: truncate(request.url()),
+            method: request.method(),
+            resourceType: request.resourceType(),
+            status: response.status(),
+            failure: response.statusText() || null,
+        });
+    });
+
+    return {
+        report: () => ({
+            console: lists.console.entries,
+            consoleDropped: lists.console.dropped,
+            pageErrors: lists.pageErrors.entries,
+            pageErrorsDropped: lists.pageErrors.dropped,
+            failedRequests: lists.failedRequests.entries,
+            failedRequestsDropped: lists.failedRequests.dropped,
+        }),
+    };
+}
+
+/**
+ * Context options that record a HAR (written when the context closes).
+ *
+ * @param {?string} file
+ * @returns {object}
+ */
+export function harContextOptions(file) {
+    if (!file) {
+        return {};
+    }
+    // A .zip HAR keeps bodies as separate entries; a .har file embeds them
+    return { recordHar: { path: file, content: file.endsWith('.zip') ? 'attach' : 'embed' } };
+}
+
+/**
+ * Start tracing a context (screenshots and DOM snapshots, no sources).
+ *
+ * @param {import('playwright').BrowserContext} context
+ */
+export async function startTrace(context) {
+    await context.tracing.start({ screenshots: true, snapshots: true, sources: false });
+}
+
+/**
+ * Stop tracing and save the trace; failures are reported, never thrown.
+ *
+ * @param {import('playwright').BrowserContext} context
+ * @param {string} file
+ * @returns {Promise<{ path: string, bytes: ?number, error: ?string }>}
+ */
+export async function stopTrace(context, file) {
+    try {
+        await context.tracing.stop({ path: file });
+        const { size } = await fs.stat(file);
+        if (size > TRACE_MAX_BYTES) {
+            await fs.rm(file, { force: true });
+            return { path: file, bytes: null, error: `Trace exceeded ${TRACE_MAX_BYTES} bytes (${size}) and was removed` };
+        }
+        return { path: file, bytes: size, error: null };
+    } catch (e) {
+        return { path: file, bytes: null, error: e?.message || String(e) };
+    }
+}
+
+/**
+ * Enforce the HAR size cap once the context has written the file. A .har loses its largest
+ * bodies; a .zip (bodies attached as entries, not rewritable here) is removed, like a trace.
+ *
+ * @param {string} file
+ * @returns {Promise<{ path: string, bytes: ?number, droppedBodies: number, error: ?string }>}
+ */
+export async function finishHar(file) {
+    try {
+        let { size } = await fs.stat(file);
+        let droppedBodies = 0;
+
+        if (size > HAR_MAX_BYTES && file.endsWith('.zip')) {
+            await fs.rm(file, { force: true });
+            return { path: file, bytes: null, droppedBodies, error: `HAR exceeded ${HAR_MAX_BYTES} bytes (${size}) and was removed` };
+        }
+
+        if (size > HAR_MAX_BYTES) {
+            const har = JSON.parse(await fs.readFile(file, 'utf8'));
+            const bodies = (har.log?.entries ?? [])
+                .map(entry => entry.response?.content)
+                .filter(content => typeof content?.text === 'string')
+                .sort((a, b) => b.text.length - a.text.length);
+
+            let excess = size - HAR_MAX_BYTES;
+            for (const content of bodies) {
+                if (excess <= 0) break;
+                excess -= content.text.length;
+                delete content.text;
+                delete content.encoding;
+                content.comment = 'Body dropped: HAR size cap';
+                droppedBodies++;
+            }
+
+            const json = JSON.stringify(har);
+            size = Buffer.byteLength(json);
+            // Headers and timings alone can still be too large
+            if (size > HAR_MAX_BYTES) {
+                await fs.rm(file, { force: true });
+                return { path: file, bytes: null, droppedBodies, error: `HAR exceeded ${HAR_MAX_BYTES} bytes without bodies (${size}) and was removed` };
+            }
+            await fs.writeFile(file, json);
+        }
+
+        return { path: file, bytes: size, droppedBodies, error: null };
+    } catch (e) {
+        return { path: file, bytes: null, droppedBodies: 0, error: e?.message || String(e) };
+    }
+}
+
+function capped() {
+    return {
+        entries: [],
+        dropped: 0,
+        push(entry) {
+            if (this.entries.length < MAX_ENTRIES) {
+                this.entries.push(entry);
+            } else {
+                this.dropped++;
+            }
+        },
+    };
+}
+
+function truncate(text) {
+    return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text;
+}
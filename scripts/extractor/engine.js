@@ -0,0 +1,176 @@
+/**
+ * Extraction engine: owns one warm Chromium instance and a pool of contexts.
+ *
+ * Used in-process by the one-shot CLI and long-lived by the daemon (extractor-server.js).
+ * The browser is launched lazily and relaunched if it disconnects (e.g. after a crash).
+ */
+
+import { chromium } from 'playwright';
+import { ContextPool } from './context-pool.js';
+import { finishHar, startTrace, stopTrace, watchPage } from './debug.js';
+import { classifyError } from './errors.js';
+import { contextOptionsFor, extractPage } from './extract-page.js';
+import { normalizeOptions } from './options.js';
+
+// Launch flags for Docker/headless environment
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--disable-gpu',
+];
+
+export class ExtractorEngine {
+    /**
+     * @param {{ poolSize?: number, maxPagesPerContext?: number }} [config]
+     */
+    constructor({ poolSize = 2, maxPagesPerContext = 50 } = {}) {
+        this.browser = null;
+        this.launching = null;
+        this.startedAt = Date.now();
+        this.stats = { served: 0, failed: 0, retried: 0, browserLaunches: 0 };
+        this.pool = new ContextPool(() => this.getBrowser(), { size: poolSize, maxPagesPerContext });
+    }
+
+    /**
+     * @returns {Promise<import('playwright').Browser>}
+     */
+    async getBrowser() {
+        if (this.browser?.isConnected()) {
+            return this.browser;
+        }
+
+        // Concurrent callers share a single launch
+        this.launching ??= chromium.launch({ headless: true, args: LAUNCH_ARGS })
+            .then((browser) => {
+                this.stats.browserLaunches++;
+                browser.on('disconnected', () => {
+                    if (this.browser === browser) {
+                        this.browser = null;
+                    }
+                });
+                this.browser = browser;
+                return browser;
+            })
+            .finally(() => {
+                this.launching = null;
+            });
+
+        return this.launching;
+    }
+
+    /**
+     * Extract a single page, retrying transient failures (timeouts, 5xx, crashes, ...)
+     * up to options.retries times with exponential backoff.
+     *
+     * @param {object} rawOptions Raw or normalized extraction options
+     * @returns {Promise<object>} The extraction result
+     * @throws {import('./errors.js').InvalidOptionsError} On invalid options
+     * @throws {import('./errors.js').ExtractionError} On navigation/extraction failure
+     */
+    async extract(rawOptions) {
+        const options = normalizeOptions(rawOptions);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await this.extractOnce(options);
+                this.stats.served++;
+                return { ...result, attempts: attempt };
+            } catch (e) {
+                const error = classifyError(e);
+                error.attempts = attempt;
+
+                if (!error.retryable || attempt > options.retries) {
+                    this.stats.failed++;
+                    throw error;
+                }
+
+                this.stats.retried++;
+                await new Promise(resolve => setTimeout(resolve, options.retryDelayMs * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    /**
+     * Extract in a pooled context (a fresh one when recording a HAR or setting up / saving a
+     * session, so no other extraction's cookies end up in it or leak out of it). The `debug` section
+     * (console, page errors, failed requests, trace/HAR files) is attached to the result,
+     * or to the thrown error.
+     *
+     * @param {object} options Normalized extraction options
+     * @returns {Promise<object>}
+     * @throws {import('./errors.js').ExtractionError}
+     */
+    async extractOnce(options) {
+        const fresh = Boolean(options.har || options.setup || options.saveStorageState);
+        const lease = await this.pool.acquire(contextOptionsFor(options), { fresh });
+        let page = null;
+        let watcher = null;
+        let trace = null;
+        let result;
+        let failure = null;
+
+        try {
+            if (options.trace) {
+                await startTrace(lease.context);
+            }
+            page = await lease.context.newPage();
+            page.on('crash', () => {
+                lease.crashed = true;
+            });
+            watcher = watchPage(page);
+
+            result = await extractPage(page, options);
+        } catch (e) {
+            failure = classifyError(e);
+        } finally {
+            if (page) {
+                await page.close().catch(() => {
+                    lease.crashed = true;
+                });
+            }
+            if (options.trace) {
+                trace = await stopTrace(lease.context, options.trace);
+            }
+            // The HAR is written when its context closes
+            await this.pool.release(lease);
+        }
+
+        const debug = {
+            ...(watcher?.report() ?? {}),
+            trace,
+            har: options.har ? await finishHar(options.har) : null,
+        };
+        if (failure) {
+            failure.debug = debug;
+            throw failure;
+        }
+        return { ...result, debug };
+    }
+
+    /**
+     * @returns {object} Health/status snapshot
+     */
+    health() {
+        return {
+            status: 'ok',
+            uptimeMs: Date.now() - this.startedAt,
+            browserConnected: this.browser?.isConnected() ?? false,
+            pool: this.pool.status(),
+            ...this.stats,
+        };
+    }
+
+    /**
+     * Close all contexts and the browser.
+     */
+    async close() {
+        await this.pool.drain();
+        if (this.browser) {
+            await this.browser.close().catch(() => {});
+            this.browser = null;
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Error taxonomy shared by the CLI and the daemon.
+ *
+ * Every failure is reported with a stable `errorCode` and the CLI exits with the matching code,
+ * so callers (the PHP jobs) can decide whether to retry, mark the page dead or alert without
+ * parsing messages. Transient classes are retried by the engine when --retries is set.
+ */
+
+/**
+ * errorCode => { exitCode, transient }
+ */
+export const ERROR_CODES = {
+    INTERNAL: { exitCode: 1, transient: false },
+    INVALID_OPTIONS: { exitCode: 2, transient: false },
+    DNS: { exitCode: 10, transient: false },
+    CONNECTION_REFUSED: { exitCode: 11, transient: true },
+    NETWORK: { exitCode: 12, transient: true },
+    TIMEOUT: { exitCode: 13, transient: true },
+    HTTP_4XX: { exitCode: 14, transient: false },
+    HTTP_5XX: { exitCode: 15, transient: true },
+    BLOCKED: { exitCode: 16, transient: false },
+    EMPTY_CONTENT: { exitCode: 17, transient: true },
+    CRASH: { exitCode: 18, transient: true },
+};
+
+// Statuses that mean "try again later" even though they are 4xx
+const TRANSIENT_HTTP_STATUSES = new Set([408, 425, 429]);
+
+/**
+ * A classified extraction failure.
+ */
+export class ExtractionError extends Error {
+    /**
+     * @param {string} code One of ERROR_CODES
+     * @param {string} message
+     * @param {{ httpStatus?: ?number, cause?: * }} [details]
+     */
+    constructor(code, message, { httpStatus = null, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'ExtractionError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.attempts = 1;
+        // Console/page errors/failed requests of the failed attempt (see debug.js)
+        this.debug = null;
+    }
+
+    /**
+     * @returns {boolean} Whether retrying the same request may succeed
+     */
+    get retryable() {
+        if (this.code === 'HTTP_4XX') {
+            return TRANSIENT_HTTP_STATUSES.has(this.httpStatus);
+        }
+        return ERROR_CODES[this.code]?.transient ?? false;
+    }
+
+    get exitCode() {
+        return ERROR_CODES[this.code]?.exitCode ?? ERROR_CODES.INTERNAL.exitCode;
+    }
+}
+
+/**
+ * Bad options or request body: thrown by option parsing (normalizeOptions() and the modules it
+ * calls) and the daemon's body reader, reported as INVALID_OPTIONS.
+ */
+export class InvalidOptionsError extends ExtractionError {
+    /**
+     * @param {string} message
+     * @param {{ cause?: * }} [details]
+     */
+    constructor(message, { cause } = {}) {
+        super('INVALID_OPTIONS', message, { cause });
+        this.name = 'InvalidOptionsError';
+    }
+}
+
+/**
+ * Error for a non-2xx/3xx navigation response.
+ *
+ * @param {number} status
+ * @param {?string} statusText
+ * @returns {ExtractionError}
+ */
+export function httpError(status, statusText) {
+    return new ExtractionError(
+        status >= 500 ? 'HTTP_5XX' : 'HTTP_4XX',
+        `HTTP ${status}${statusText ? ` ${statusText}` : ''}`,
+        { httpStatus: status }
+    );
+}
+
+/**
+ * Map any thrown value onto the taxonomy. Playwright reports network failures as
+ * "net::ERR_*" messages and timeouts as TimeoutError. Bad options arrive as InvalidOptionsError;
+ * any other unrecognized exception (a bug, a throw inside page.evaluate) is INTERNAL.
+ *
+ * @param {Error|*} error
+ * @returns {ExtractionError}
+ */
+export function classifyError(error) {
+    if (error instanceof ExtractionError) {
+        return error;
+    }
+
+    const message = error?.message || String(error);
+    let code = 'INTERNAL';
+
+    if (/net::ERR_NAME_NOT_RESOLVED|net::ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/.test(message)) {
+        code = 'DNS';
+    } else if (/net::ERR_CONNECTION_REFUSED|ECONNREFUSED/.test(message)) {
+        code = 'CONNECTION_REFUSED';
+    } else if (error?.name === 'TimeoutError' || /net::ERR_TIMED_OUT|Timeout \d+ms exceeded/.test(message)) {
+        code = 'TIMEOUT';
+    } else if (/crash|Target closed|has been closed|browser has disconnected/i.test(message)) {
+        code = 'CRASH';
+    } else if (/net::ERR_|ECONNRESET|EPIPE/.test(message)) {
+        code = 'NETWORK';
+    }
+
+    return new ExtractionError(code, message, { cause: error });
+}
+
+/**
+ * Serialize an extraction failure into the JSON error shape.
+ *
+ * @param {Error|*} error
+ * @param {?string} url
+ * @returns {{ url: ?string, error: string, errorType: string, errorCode: string, exitCode: number, retryable: boolean, httpStatus: ?number, attempts: number, debug: ?object }}
+ */
+export function serializeError(error, url) {
+    const classified = classifyError(error);
+    // Keep the underlying error's name (TimeoutError, ...) when the engine wrapped it
+    const original = error instanceof ExtractionError && error.cause ? error.cause : error;
+
+    return {
+        url: url ?? null,
+        error: error?.message || String(error),
+        errorType: original?.name || 'Error',
+        errorCode: classified.code,
+        exitCode: classified.exitCode,
+        retryable: classified.retryable,
+        httpStatus: classified.httpStatus,
+        attempts: classified.attempts,
+        debug: classified.debug,
+    };
+}
@@ -0,0 +1,259 @@
+/**
+ * Expansion pass: reveal collapsed content before it is extracted (with or without screenshots).
+ *
+ *   details   Closed <details> elements are opened
+ *   toggles   aria-expanded="false" controls (accordions, spoilers) inside the main content are clicked
+ *   readMore  "Read more" / "Показать полностью" / "Читати далі" buttons inside the main content are clicked
+ *   tabs      Every ARIA tab (role="tab") is activated in turn and its panel captured under the tab
+ *             label, since only one panel is visible at a time; the initially selected tab is restored
+ *
+ * Navigation, headers, footers, menus, dialogs and popup triggers are never touched, clicks are
+ * capped (MAX_CLICKS, MAX_TIME_MS), and a click that navigates away stops the pass and goes back.
+ */
+
+import { FORMATS, renderContent } from './content-render.js';
+import { MAIN_CONTENT_SELECTOR, detectMainContent } from './main-content.js';
+import { snapshotContent } from './page-scripts.js';
+
+const MAX_CLICKS = 30;
+const MAX_TABS = 20;
+const MAX_TIME_MS = 15000;
+const CLICK_TIMEOUT = 1000;
+// Time for the UI to expand/animate after a click
+const SETTLE_MS = 300;
+const TAB_PANEL_SELECTOR = '[data-extractor-tab-panel]';
+
+/**
+ * @param {import('playwright').Page} page
+ * @param {{ excludeSelectors: string[], mainContentSelector: ?string, format: string }} config
+ *   format: content format of the tab captures (like --format)
+ * @returns {Promise<{
+ *   details: number,
+ *   toggles: number,
+ *   readMore: number,
+ *   tabs: Array<{ group: number, label: string, selected: boolean, content: ?string, contentLength: number, contents?: object, error: ?string }>,
+ *   capped: boolean,
+ *   navigated: boolean,
+ *   error: ?string,
+ *   durationMs: number,
+ * }>}
+ */
+export async function expandContent(page, { excludeSelectors, mainContentSelector, format }) {
+    const startTime = Date.now();
+    const startUrl = page.url();
+    const report = { details: 0, toggles: 0, readMore: 0, tabs: [], capped: false, navigated: false, error: null, durationMs: 0 };
+    let clicks = 0;
+
+    // Clicks that may run: false once a cap is hit or the page navigated away
+    const canClick = () => {
+        if (clicks >= MAX_CLICKS || Date.now() - startTime >= MAX_TIME_MS) {
+            report.capped = true;
+        }
+        return !report.capped && !report.navigated;
+    };
+    const click = async (id) => {
+        clicks++;
+        const locator = page.locator(`[data-extractor-expand="${id}"]`).first();
+        try {
+            await locator.click({ timeout: CLICK_TIMEOUT });
+        } catch {
+            // Covered or animating: a DOM click still triggers the handlers
+            await locator.evaluate(el => el.click(), null, { timeout: CLICK_TIMEOUT });
+        }
+        await page.waitForTimeout(SETTLE_MS);
+
+        if (page.url().split('#')[0] !== startUrl.split('#')[0]) {
+            report.navigated = true;
+            await page.goBack({ waitUntil: 'load', timeout: 10000 }).catch(() => {});
+            return false;
+        }
+        return true;
+    };
+
+    try {
+        const region = await page.evaluate(detectMainContent, { excludeSelectors, selector: mainContentSelector });
+        const found = await page.evaluate(markExpandables, {
+            regionSelector: region.method === 'fallback' ? 'body' : MAIN_CONTENT_SELECTOR,
+            maxTabs: MAX_TABS,
+        });
+        report.details = found.details;
+
+        for (const [kind, ids] of [['toggles', found.toggles], ['readMore', found.readMore]]) {
+            for (const id of ids) {
+                if (!canClick()) break;
+                if (await click(id).catch(() => false)) report[kind]++;
+            }
+        }
+
+        for (const [group, tabs] of found.tabGroups.entries()) {
+            let last = null;
+            for (const tab of tabs) {
+                if (!canClick()) break;
+                report.tabs.push({ group, label: tab.label, selected: tab.selected, ...await captureTab(page, tab, click, { excludeSelectors, format }) });
+                last = tab;
+            }
+            // Leave the page as the visitor first saw it: the content and screenshots taken after the
+            // pass expect the initial tab. Counted but exempt from the caps, so a pass capped inside a
+            // group still restores it; the next groups are skipped, so this overruns by one click at most.
+            const initial = tabs.find(tab => tab.selected);
+            if (initial && last && last !== initial && !report.navigated) {
+                await click(initial.id).catch(() => {});
+            }
+        }
+    } catch (e) {
+        report.error = e?.message || String(e);
+    } finally {
+        // rawHtml is read after the pass: it must not carry the extractor's markers
+        await page.evaluate(() => {
+            for (const el of document.querySelectorAll('[data-extractor-expand], [data-extractor-tab-panel], [data-extractor-main]')) {
+                el.removeAttribute('data-extractor-expand');
+                el.removeAttribute('data-extractor-tab-panel');
+                el.removeAttribute('data-extractor-main');
+            }
+        }).catch(() => {});
+        report.durationMs = Date.now() - startTime;
+    }
+
+    return report;
+}
+
+/**
+ * Activate a tab and render its panel.
+ *
+ * @returns {Promise<{ content: ?string, contentLength: number, contents?: object, error: ?string }>}
+ */
+async function captureTab(page, tab, click, { excludeSelectors, format }) {
+    try {
+        if (!await click(tab.id)) {
+            return { content: null, contentLength: 0, error: 'Tab click navigated away' };
+        }
+        if (!await page.evaluate(markTabPanel, tab.id)) {
+            return { content: null, contentLength: 0, error: 'Tab panel not found' };
+        }
+
+        const tree = await page.evaluate(snapshotContent, { excludeSelectors, rootSelector: TAB_PANEL_SELECTOR });
+        const contents = Object.fromEntries(FORMATS.map(name => [name, renderContent(tree, name)]));
+        const content = contents[format === 'all' ? 'html' : format];
+        return {
+            content,
+            contentLength: content.length,
+            ...(format === 'all' ? { contents } : {}),
+            error: null,
+        };
+    } catch (e) {
+        return { content: null, contentLength: 0, error: e?.message || String(e) };
+    }
+}
+
+/**
+ * Open <details>, and mark toggles, "read more" buttons and tabs with data-extractor-expand
+ * (evaluated in the page).
+ *
+ * @param {{ regionSelector: string, maxTabs: number }} config Toggles/"read more" are only looked for inside the region
+ * @returns {{ details: number, toggles: string[], readMore: string[], tabGroups: Array<Array<{ id: string, label: string, selected: boolean }>> }}
+ */
+export function markExpandables({ regionSelector, maxTabs }) {
+    const MARKER = 'data-extractor-expand';
+    const SKIP = 'nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"], [role="menu"], [role="menubar"], [role="dialog"], [aria-modal="true"], [role="combobox"], [role="listbox"]';
+    const READ_MORE = /^(read more|show more|see more|view more|more details|expand|show all|показать (ещё|еще|больше|полностью|все)|читать (далее|полностью)|развернуть|подробнее|показати (ще|більше|повністю|все)|читати (далі|повністю)|розгорнути|детальніше)(?![\p{L}\d])/iu;
+    const MAX_LABEL_LENGTH = 60;
+
+    for (const el of document.querySelectorAll(`[${MARKER}]`)) {
+        el.removeAttribute(MARKER);
+    }
+
+    const textOf = el => (el.textContent ?? '').replace(/\s+/g, ' ').trim();
+    const isVisible = (el) => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    // Links to other pages and form submits would navigate; popup triggers open menus
+    const isSafe = el => !el.closest(SKIP)
+        && !(el.tagName === 'A' && /^(https?:|\/|\.)/i.test(el.getAttribute('href') ?? ''))
+        && !((el.tagName === 'BUTTON' || el.tagName === 'INPUT') && el.type === 'submit' && el.form)
+        && !['true', 'menu', 'listbox', 'dialog', 'tree', 'grid'].includes((el.getAttribute('aria-haspopup') ?? '').toLowerCase());
+
+    const region = document.querySelector(regionSelector) || document.body;
+    let next = 0;
+    const mark = (el) => {
+        const id = String(next++);
+        el.setAttribute(MARKER, id);
+        return id;
+    };
+
+    let details = 0;
+    for (const el of region.querySelectorAll('details:not([open])')) {
+        if (el.closest(SKIP)) continue;
+        el.open = true;
+        details++;
+    }
+
+    const toggles = [];
+    for (const el of region.querySelectorAll('[aria-expanded="false"]')) {
+        if (el.getAttribute('role') === 'tab' || !isVisible(el) || !isSafe(el)) continue;
+        toggles.push(mark(el));
+    }
+
+    const readMore = [];
+    for (const el of region.querySelectorAll('button, [role="button"], a:not([href]), a[href="#"], a[href^="javascript:"]')) {
+        const text = textOf(el);
+        if (el.hasAttribute(MARKER) || text.length > 40 || !READ_MORE.test(text) || !isVisible(el) || !isSafe(el)) continue;
+        readMore.push(mark(el));
+    }
+
+    // Tabs may sit around the main content (description | specs | reviews), so the whole page is searched
+    const tabGroups = [];
+    let tabCount = 0;
+    for (const list of document.querySelectorAll('[role="tablist"]')) {
+        if (list.closest(SKIP)) continue;
+        const tabs = [...list.querySelectorAll('[role="tab"]')]
+            .filter(tab => tab.closest('[role="tablist"]') === list && isVisible(tab) && isSafe(tab))
+            .slice(0, Math.max(0, maxTabs - tabCount));
+        if (tabs.length < 2) continue;
+
+        tabCount += tabs.length;
+        tabGroups.push(tabs.map(tab => ({
+            id: mark(tab),
+            label: (textOf(tab) || tab.getAttribute('aria-label') || '').slice(0, MAX_LABEL_LENGTH),
+            selected: tab.getAttribute('aria-selected') === 'true',
+        })));
+    }
+
+    return { details, toggles, readMore, tabGroups };
+}
+
+/**
+ * Mark the panel of an activated tab with data-extractor-tab-panel (evaluated in the page).
+ * The panel is the aria-controls target, else the visible tab panel next to the tab list.
+ *
+ * @param {string} id data-extractor-expand id of the tab
+ * @returns {boolean} Whether a panel was found
+ */
+export function markTabPanel(id) {
+    const MARKER = 'data-extractor-tab-panel';
+    for (const el of document.querySelectorAll(`[${MARKER}]`)) {
+        el.removeAttribute(MARKER);
+    }
+
+    const tab = document.querySelector(`[data-extractor-expand="${id}"]`);
+    if (!tab) return false;
+
+    const isShown = el => el.getClientRects().length > 0 && window.getComputedStyle(el).visibility !== 'hidden';
+    let panel = null;
+    for (const controlled of (tab.getAttribute('aria-controls') ?? '').split(/\s+/).filter(Boolean)) {
+        panel = document.getElementById(controlled);
+        if (panel) break;
+    }
+    if (!panel) {
+        // Closest ancestor of the tab list that holds a visible panel
+        for (let node = tab.closest('[role="tablist"]')?.parentElement; node && !panel; node = node.parentElement) {
+            panel = [...node.querySelectorAll('[role="tabpanel"]')].find(isShown) ?? null;
+            if (node === document.body) break;
+        }
+    }
+    if (!panel || !isShown(panel)) return false;
+
+    panel.setAttribute(MARKER, '');
+    return true;
+}
@@ -0,0 +1,419 @@
+/**
+ * Single-page extraction: navigate, collect metadata, optionally screenshot,
+ * then extract links and content (cleaned HTML, Markdown and/or plain text),
+ * both for the whole page and for the detected main content region.
+ *
+ * The page is owned by the caller (engine), which decides which browser context it lives in.
+ */
+
+import path from 'node:path';
+import { DEFAULT_USER_AGENT } from './options.js';
+import { captureApiResponses } from './api-capture.js';
+import { dismissConsent } from './consent.js';
+import { harContextOptions } from './debug.js';
+import { expandContent } from './expand.js';
+import { collectEmulation, emulationContextOptions, emulationReport } from './emulation.js';
+import { fingerprintContent } from './fingerprint.js';
+import { createFrameInliner } from './frames.js';
+import { chunkContent } from './chunking.js';
+import { FORMATS, renderContent } from './content-render.js';
+import { ExtractionError, httpError } from './errors.js';
+import { collectImages, downloadImages, rankImages } from './images.js';
+import { MAIN_CONTENT_SELECTOR, detectMainContent } from './main-content.js';
+import { collectOfferCandidates, detectOffer } from './offer.js';
+import { loadOffline, offlineSource } from './offline.js';
+import { SCREENSHOT_DEVICES, captureScreenshots, failedScreenshots, saveScreenshot } from './screenshots.js';
+import { collectSpecifications, normalizeSpecifications } from './specifications.js';
+import { expandListing } from './listing.js';
+import { buildLinks } from './links.js';
+import { interceptRequests } from './network.js';
+import { PAGE_REGIONS, collectLinkDetails, collectLinks, detectBlockPage, snapshotContent } from './page-scripts.js';
+import { loadProfiles, runSteps, selectProfile } from './profiles.js';
+import { collectSeoTags, normalizeSeo, redirectChain } from './seo.js';
+import { collectStructuredData, normalizeStructuredData } from './structured-data.js';
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1';
+const MOBILE_VIEWPORT = { width: 390, height: 844 };
+const DESKTOP_VIEWPORT = { width: 1920, height: 1080 };
+
+/**
+ * Browser context options for a request. Requests with equal context options
+ * can share a pooled context.
+ *
+ * @param {object} options Normalized extraction options
+ * @returns {object} Options for browser.newContext()
+ */
+export function contextOptionsFor(options) {
+    return {
+        ...deviceContextOptions(deviceFor(options), options.userAgent),
+        ...emulationContextOptions(options),
+        ...(options.storageState ? { storageState: options.storageState } : {}),
+        ...harContextOptions(options.har),
+    };
+}
+
+/**
+ * The legacy --screenshot-path capture is taken on a phone; everything else runs on desktop.
+ *
+ * @param {object} options Normalized extraction options
+ * @returns {'desktop'|'mobile'}
+ */
+function deviceFor(options) {
+    return options.screenshotPath ? 'mobile' : 'desktop';
+}
+
+function deviceContextOptions(device, userAgent) {
+    const emulateMobile = device === 'mobile';
+
+    return {
+        userAgent: userAgent ?? (emulateMobile ? MOBILE_USER_AGENT : DEFAULT_USER_AGENT),
+        viewport: emulateMobile ? MOBILE_VIEWPORT : DESKTOP_VIEWPORT,
+        ...(emulateMobile ? { deviceScaleFactor: 3, isMobile: true, hasTouch: true } : {}),
+    };
+}
+
+/**
+ * Extract content from a URL in the given page.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options Normalized extraction options
+ * @returns {Promise<object>} The JSON result (same shape as `--json` output)
+ */
+export async function extractPage(page, options) {
+    const { url, screenshotPath } = options;
+    const offline = offlineSource(options);
+
+    // Resolve the site profile before navigating, so a bad --profile fails fast
+    const selected = selectProfile(await loadProfiles(options.profilesFile), offline?.baseUrl ?? url, options.profile);
+    const profile = selected.profile;
+
+    // Skip fonts/trackers/media before the first request goes out
+    const network = await interceptRequests(page, {
+        blockTypes: options.blockResources ?? profile.blockResourceTypes,
+        blockPatterns: [...profile.blockUrlPatterns, ...options.blockUrls],
+        keepImages: Boolean(screenshotPath) || options.screenshots.length > 0 || Boolean(options.imagesDir),
+    });
+
+    // Record product API (XHR/fetch) responses; --capture-api=none turns it off
+    const apiCapture = captureApiResponses(page, {
+        urlPatterns: [...profile.captureApiUrlPatterns, ...(options.captureApi ?? [])],
+        contentTypes: options.captureApi?.length === 0 ? [] : profile.captureApiContentTypes,
+        maxEntries: options.captureApi?.length === 0 ? 0 : options.apiMaxEntries,
+        maxBodyBytes: options.apiMaxBodyBytes,
+    });
+
+    // Session setup (log in, choose a city): the profile's setup steps run on their own page first
+    const setupReports = [];
+    if (options.setup) {
+        await page.goto(new URL(profile.setupUrl ?? url, url).href, { waitUntil: options.waitFor, timeout: options.timeout });
+        setupReports.push(...await runSteps(page, profile.setupSteps, 'setup'));
+    }
+
+    // Navigate to the URL (or load the stored HTML / local file without network access)
+    const startTime = Date.now();
+    const response = await navigate(page, url, options);
+    const loadTime = Date.now() - startTime;
+
+    // Challenge pages usually come with 403/503: report them as blocked rather than as HTTP errors
+    const blockedBy = await page.evaluate(detectBlockPage).catch(() => null);
+    if (blockedBy) {
+        throw new ExtractionError('BLOCKED', `Blocked by bot protection (${blockedBy})`, { httpStatus: response?.status() ?? null });
+    }
+    if (response && response.status() >= 400) {
+        throw httpError(response.status(), response.statusText());
+    }
+
+    // Locale/timezone/geolocation/proxy the page was rendered with (prices depend on them)
+    const emulation = emulationReport(await page.evaluate(collectEmulation), options);
+
+    // Cookie/consent banners cover content and block "load more" clicks: dismiss them first
+    const consentEnabled = options.consent ?? profile.consent ?? true;
+    const consent = {
+        enabled: consentEnabled,
+        load: consentEnabled ? await dismissConsent(page, profile.consentRules) : null,
+        screenshot: null,
+    };
+
+    // Site-specific preparation (wait for lazy content, dismiss overlays, ...)
+    const stepReports = [...setupReports, ...await runSteps(page, profile.steps, 'load')];
+
+    // Listing mode: keep scrolling / clicking "load more" until no new links appear
+    let listing = null;
+    if (options.listing ?? profile.listing?.enabled ?? false) {
+        listing = await expandListing(page, {
+            loadMoreSelector: options.loadMoreSelector ?? profile.listing?.loadMoreSelector ?? null,
+            scroll: profile.listing?.scroll ?? true,
+            maxIterations: options.listingMaxIterations ?? profile.listing?.maxIterations ?? 20,
+            maxTimeMs: options.listingMaxTimeMs ?? profile.listing?.maxTimeMs ?? 30000,
+            settleMs: profile.listing?.settleMs ?? 1500,
+        });
+    }
+
+    // Open details/accordions/"read more" and capture every tab panel, screenshot or not
+    const expansion = (options.expand ?? profile.expand ?? true)
+        ? await expandContent(page, {
+            excludeSelectors: profile.excludeSelectors,
+            mainContentSelector: profile.mainContentSelector ?? null,
+            format: options.format,
+        })
+        : null;
+
+    // Extract page title
+    const title = await page.title();
+
+    // Extract meta description
+    const metaDescription = await page.$eval(
+        'meta[name="description"]',
+        el => el.getAttribute('content')
+    ).catch(() => null);
+
+    // Extract meta keywords
+    const metaKeywords = await page.$eval(
+        'meta[name="keywords"]',
+        el => el.getAttribute('content')
+    ).catch(() => null);
+
+    // Extract raw HTML
+    const rawHtml = await page.content();
+
+    // Extract JSON-LD / microdata / OpenGraph. Parse problems are reported, never fatal.
+    // Runs before the screenshot step, which strips header/footer from the DOM.
+    let structuredData;
+    try {
+        structuredData = normalizeStructuredData(await page.evaluate(collectStructuredData), page.url());
+    } catch (e) {
+        structuredData = normalizeStructuredData({ errors: [{ source: 'page', index: null, message: e?.message || String(e) }] }, url);
+    }
+
+    // Canonical / robots / hreflang / pagination, plus where the navigation actually ended up
+    const seo = normalizeSeo(await page.evaluate(collectSeoTags), {
+        requestedUrl: url,
+        finalUrl: page.url(),
+        redirects: await redirectChain(response),
+        robotsHeader: response?.headers()['x-robots-tag'] ?? null,
+    });
+
+    // Extract all links from the page (plus links seen while expanding a listing).
+    // Collected before the screenshot steps strip header/footer, so every region is reported.
+    const extractedUrls = [...new Set([...(listing?.urls ?? []), ...await page.evaluate(collectLinks)])];
+    const links = buildLinks(await page.evaluate(collectLinkDetails, PAGE_REGIONS), listing?.urls ?? [], page.url());
+
+    // Images, ranked against the product/OpenGraph images from structured data
+    const images = rankImages(await page.evaluate(collectImages, PAGE_REGIONS), {
+        knownImages: [
+            ...(structuredData.product?.images ?? []),
+            ...[].concat(structuredData.openGraph['og:image'] ?? []),
+        ],
+    });
+    const imagesSaved = options.imagesDir
+        ? await downloadImages(page, images, { dir: options.imagesDir, max: options.imagesMax, offline: Boolean(offline) })
+        : 0;
+
+    // Spec tables, definition lists and label/value grids as ordered key/value rows
+    const specifications = normalizeSpecifications(await page.evaluate(collectSpecifications));
+
+    // Take screenshots (optional). Never fail extraction because of screenshot issues.
+    const device = deviceFor(options);
+    const screenshots = [];
+    let screenshotSaved = false;
+    let screenshotError = null;
+    if (screenshotPath || options.screenshots.length > 0) {
+        // Banners that showed up late (after a delay or on scroll) would end up in the image
+        if (consentEnabled) {
+            consent.screenshot = await dismissConsent(page, profile.consentRules);
+        }
+
+        // Profile steps prepare the page: expand text, strip layout/marketing chrome
+        stepReports.push(...await runSteps(page, profile.screenshotSteps, 'screenshot'));
+    }
+
+    if (screenshotPath) {
+        try {
+            const format = options.screenshotFormat ?? formatFromPath(screenshotPath);
+            const shoot = shotOptions => page.screenshot({ ...shotOptions, fullPage: options.screenshotFullPage });
+            const saved = await saveScreenshot(page, shoot, { format, quality: options.screenshotQuality }, screenshotPath);
+            screenshotSaved = true;
+            screenshots.push({
+                name: 'screenshot',
+                device,
+                mode: options.screenshotFullPage ? 'fullPage' : 'viewport',
+                selector: null,
+                ...saved,
+                tile: null,
+                error: null,
+            });
+        } catch (e) {
+            screenshotError = e?.message || String(e);
+        }
+    }
+
+    const sameDevice = options.screenshots.filter(spec => spec.device === device);
+    if (sameDevice.length > 0) {
+        screenshots.push(...await captureScreenshots(page, sameDevice, options.screenshotDir));
+    }
+    for (const other of SCREENSHOT_DEVICES.filter(name => name !== device)) {
+        const specs = options.screenshots.filter(spec => spec.device === other);
+        if (specs.length > 0) {
+            screenshots.push(...await captureOnDevice(page, other, specs, { options, profile, consentEnabled, stepReports }));
+        }
+    }
+
+    // Walk the DOM once (shadow roots and iframes included), then render every format from the same content tree
+    const frames = createFrameInliner(page, { excludeSelectors: profile.excludeSelectors, crossOrigin: options.crossOriginFrames });
+    const contentTree = await frames.fill(await page.evaluate(snapshotContent, { excludeSelectors: profile.excludeSelectors }));
+    const contents = {};
+    const contentLengths = {};
+    for (const format of FORMATS) {
+        contents[format] = renderContent(contentTree, format);
+        contentLengths[format] = contents[format].length;
+    }
+    const content = contents[options.format === 'all' ? 'html' : options.format];
+    if (contents.text.trim() === '') {
+        throw new ExtractionError('EMPTY_CONTENT', 'Page rendered no text content', { httpStatus: response?.status() ?? null });
+    }
+
+    // The same formats for just the main content region (falls back to the whole body)
+    const mainContent = await page.evaluate(detectMainContent, {
+        excludeSelectors: profile.excludeSelectors,
+        selector: profile.mainContentSelector ?? null,
+    });
+    const mainTree = mainContent.method === 'fallback'
+        ? contentTree
+        : await frames.fill(await page.evaluate(snapshotContent, { excludeSelectors: profile.excludeSelectors, rootSelector: MAIN_CONTENT_SELECTOR }));
+    const mainContents = {};
+    for (const format of FORMATS) {
+        mainContents[format] = renderContent(mainTree, format);
+    }
+    mainContent.content = mainContents[options.format === 'all' ? 'html' : options.format];
+    mainContent.contentLength = mainContent.content.length;
+    if (options.format === 'all') {
+        mainContent.contents = mainContents;
+    }
+
+    // Price/currency/availability: structured data first, prices inside the main content rank higher
+    const offer = detectOffer(await page.evaluate(collectOfferCandidates), structuredData.product);
+
+    // Change detection between crawls: whole text, main content (exact + SimHash), offer
+    const fingerprints = fingerprintContent({ text: contents.text, mainText: mainContents.text, offer });
+
+    // Heading-aware chunks of `content` for embedding/retrieval
+    const chunks = options.chunkTokens
+        ? chunkContent(content, contentTree, {
+            format: options.format === 'all' ? 'html' : options.format,
+            maxTokens: options.chunkTokens,
+            overlapTokens: options.chunkOverlap,
+        })
+        : null;
+
+    const api = await apiCapture.results();
+
+    // Persist cookies/localStorage (e.g. after --setup) for later runs with --storage-state
+    const storageState = {
+        loaded: options.storageState,
+        saved: null,
+        error: null,
+    };
+    if (options.saveStorageState) {
+        try {
+            await page.context().storageState({ path: options.saveStorageState });
+            storageState.saved = options.saveStorageState;
+        } catch (e) {
+            storageState.error = e?.message || String(e);
+        }
+    }
+
+    // Get response status
+    const status = response?.status() || null;
+    const statusText = response?.statusText() || null;
+
+    return {
+        url: url,
+        offline: offline,
+        emulation: emulation,
+        storageState: storageState,
+        status: status,
+        statusText: statusText,
+        title: title,
+        metaDescription: metaDescription,
+        metaKeywords: metaKeywords,
+        loadTimeMs: loadTime,
+        format: options.format,
+        contentLength: content.length,
+        contentLengths: contentLengths,
+        rawHtmlLength: rawHtml.length,
+        screenshotPath: screenshotPath,
+        screenshotSaved: screenshotSaved,
+        screenshotError: screenshotError,
+        screenshots: screenshots,
+        apiResponses: api.entries,
+        apiResponsesSkipped: api.skipped,
+        network: await network.stats(),
+        profile: {
+            name: selected.name,
+            matchedBy: selected.matchedBy,
+            steps: stepReports,
+        },
+        content: content,
+        ...(options.format === 'all' ? { contents: contents } : {}),
+        mainContent: mainContent,
+        embedded: frames.report(contentTree),
+        chunks: chunks,
+        rawHtml: rawHtml,
+        extractedUrls: extractedUrls,
+        links: links,
+        images: images,
+        imagesSaved: imagesSaved,
+        specifications: specifications,
+        offer: offer,
+        fingerprints: fingerprints,
+        listing: listing?.report ?? null,
+        expansion: expansion,
+        consent: consent,
+        seo: seo,
+        structuredData: structuredData,
+    };
+}
+
+/**
+ * Capture screenshots for another device: open the page in a throwaway context with that
+ * device's emulation and the main context's cookies (consent choices, sessions).
+ *
+ * @returns {Promise<object[]>} Artifacts; a failed navigation is reported on each spec
+ */
+async function captureOnDevice(page, device, specs, { options, profile, consentEnabled, stepReports }) {
+    let context = null;
+    try {
+        context = await page.context().browser().newContext({
+            ...deviceContextOptions(device, options.userAgent),
+            ...emulationContextOptions(options),
+            storageState: await page.context().storageState(),
+        });
+        const devicePage = await context.newPage();
+        await navigate(devicePage, page.url(), options);
+
+        if (consentEnabled) {
+            await dismissConsent(devicePage, profile.consentRules);
+        }
+        stepReports.push(...await runSteps(devicePage, profile.screenshotSteps, `screenshot:${device}`));
+
+        return await captureScreenshots(devicePage, specs, options.screenshotDir);
+    } catch (e) {
+        return failedScreenshots(specs, e?.message || String(e));
+    } finally {
+        await context?.close().catch(() => {});
+    }
+}
+
+function navigate(page, url, options) {
+    if (offlineSource(options)) {
+        return loadOffline(page, options);
+    }
+    return page.goto(url, { waitUntil: options.waitFor, timeout: options.timeout });
+}
+
+function formatFromPath(file) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.jpg' || ext === '.jpeg') return 'jpeg';
+    if (ext === '.webp') return 'webp';
+    return 'png';
+}
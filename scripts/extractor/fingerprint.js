@@ -0,0 +1,94 @@
+/**
+ * Content fingerprints for change detection between crawls.
+ *
+ *   textHash            SHA-256 of the normalized full text: any visible change flips it
+ *   mainContentHash     SHA-256 of the normalized main content text
+ *   mainContentSimhash  64-bit SimHash (16 hex chars) of the main content's word 3-shingles:
+ *                       near-duplicates differ in few bits (see hammingDistance())
+ *   offerHash           SHA-256 of price/old price/unit price/currency/availability, or null
+ *
+ * A refresh can skip unchanged pages (same textHash), re-run only price logic when just the
+ * offerHash moved, and group near-duplicate product pages by SimHash distance.
+ */
+
+import { createHash } from 'node:crypto';
+
+const SHINGLE_SIZE = 3;
+const SIMHASH_BITS = 64n;
+
+/**
+ * @param {{ text: string, mainText: string, offer: ?object }} input Plain-text renderings and the offer section
+ * @returns {{ textHash: string, mainContentHash: string, mainContentSimhash: string, offerHash: ?string }}
+ */
+export function fingerprintContent({ text, mainText, offer }) {
+    return {
+        textHash: sha256(normalizeText(text)),
+        mainContentHash: sha256(normalizeText(mainText)),
+        mainContentSimhash: simhash(mainText),
+        offerHash: offer ? sha256(JSON.stringify([
+            offer.price,
+            offer.oldPrice,
+            offer.unitPrice?.price ?? null,
+            offer.unitPrice?.unit ?? null,
+            offer.currency,
+            offer.availability,
+        ])) : null,
+    };
+}
+
+/**
+ * 64-bit SimHash over word shingles (frequency-weighted).
+ *
+ * @param {string} text
+ * @returns {string} 16 hex characters
+ */
+export function simhash(text) {
+    const words = normalizeText(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+    const counts = new Map();
+    const size = Math.min(SHINGLE_SIZE, words.length);
+    for (let i = 0; size > 0 && i + size <= words.length; i++) {
+        const shingle = words.slice(i, i + size).join(' ');
+        counts.set(shingle, (counts.get(shingle) ?? 0) + 1);
+    }
+
+    const weights = new Array(Number(SIMHASH_BITS)).fill(0);
+    for (const [shingle, count] of counts) {
+        const hash = createHash('md5').update(shingle).digest().readBigUInt64BE(0);
+        for (let bit = 0n; bit < SIMHASH_BITS; bit++) {
+            weights[Number(bit)] += (hash >> bit) & 1n ? count : -count;
+        }
+    }
+
+    let result = 0n;
+    for (let bit = 0n; bit < SIMHASH_BITS; bit++) {
+        if (weights[Number(bit)] > 0) {
+            result |= 1n << bit;
+        }
+    }
+    return result.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two SimHashes (0 = same, <= 3 usually means near-duplicate).
+ *
+ * @param {string} a 16 hex characters
+ * @param {string} b 16 hex characters
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+function normalizeText(text) {
+    return text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+function sha256(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
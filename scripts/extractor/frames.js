@@ -0,0 +1,125 @@
+/**
+ * Content of embedded documents in the content tree.
+ *
+ * snapshotContent() walks open shadow roots and same-origin iframes in the page itself; iframes it
+ * cannot read (cross-origin) are left as empty placeholders. With --cross-origin-frames those are
+ * filled here by walking the frame through its Playwright frame handle, up to MAX_FRAMES frames
+ * and MAX_DEPTH levels of frames inside frames.
+ */
+
+import { snapshotContent } from './page-scripts.js';
+
+const MAX_FRAMES = 10;
+const MAX_DEPTH = 2;
+
+/**
+ * Fills cross-origin placeholders; frame snapshots are cached, so the full-page and the
+ * main-content trees share them.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{ excludeSelectors: string[], crossOrigin: boolean }} config
+ * @returns {{ fill: (tree: object) => Promise<object>, report: (tree: object) => object }}
+ */
+export function createFrameInliner(page, { excludeSelectors, crossOrigin }) {
+    const snapshots = new Map();
+    let frames = null;
+
+    // data-extractor-frame id -> Playwright frame (rebuilt when a new id shows up)
+    const frameById = async (id) => {
+        if (!frames?.has(id)) {
+            frames = new Map();
+            for (const frame of page.frames()) {
+                if (frame === page.mainFrame()) continue;
+                try {
+                    const element = await frame.frameElement();
+                    const frameId = await element.getAttribute('data-extractor-frame');
+                    await element.dispose();
+                    if (frameId) frames.set(frameId, frame);
+                } catch {
+                    // detached while we were looking
+                }
+            }
+        }
+        return frames.get(id) ?? null;
+    };
+
+    const snapshot = async (id) => {
+        if (!snapshots.has(id)) {
+            if (snapshots.size >= MAX_FRAMES) {
+                return { tree: null, error: `Frame limit (${MAX_FRAMES}) reached` };
+            }
+            let result;
+            try {
+                const frame = await frameById(id);
+                result = frame
+                    ? { tree: await frame.evaluate(snapshotContent, { excludeSelectors, framePrefix: `${id}.` }), error: null }
+                    : { tree: null, error: 'Frame not found' };
+            } catch (e) {
+                result = { tree: null, error: e?.message || String(e) };
+            }
+            snapshots.set(id, result);
+        }
+        return snapshots.get(id);
+    };
+
+    const fill = async (node, depth) => {
+        if (typeof node === 'string') return;
+
+        if (node.o?.type === 'iframe' && node.o.origin === 'cross-origin' && node.c.length === 0) {
+            if (!crossOrigin) {
+                node.o.error = 'Cross-origin frames are not inlined (--cross-origin-frames)';
+                return;
+            }
+            if (depth >= MAX_DEPTH) {
+                node.o.error = `Frame depth limit (${MAX_DEPTH}) reached`;
+                return;
+            }
+            const { tree, error } = await snapshot(node.o.frame);
+            node.o.error = error;
+            if (tree) {
+                // Copy: the main-content tree may inline the same frame
+                node.c = [structuredClone(tree)];
+                await fill(node.c[0], depth + 1);
+            }
+            return;
+        }
+
+        for (const child of node.c) {
+            await fill(child, depth);
+        }
+    };
+
+    return {
+        fill: async (tree) => {
+            await fill(tree, 0);
+            return tree;
+        },
+        report: (tree) => embeddedReport(tree),
+    };
+}
+
+/**
+ * The `embedded` output section: inlined shadow roots and every iframe of the tree.
+ *
+ * @param {object} tree
+ * @returns {{ shadowRoots: number, frames: Array<{ src: string, origin: string, inlined: boolean, error: ?string }> }}
+ */
+function embeddedReport(tree) {
+    const report = { shadowRoots: 0, frames: [] };
+    const walk = (node) => {
+        if (typeof node === 'string') return;
+        if (node.o?.type === 'shadow') {
+            report.shadowRoots++;
+        } else if (node.o?.type === 'iframe') {
+            report.frames.push({
+                src: node.o.src,
+                origin: node.o.origin,
+                inlined: node.c.length > 0,
+                error: node.o.error ?? null,
+            });
+        }
+        node.c.forEach(walk);
+    };
+    walk(tree);
+    return report;
+}
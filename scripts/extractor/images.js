@@ -0,0 +1,256 @@
+/**
+ * Image extraction: every <img> (including <picture> sources and lazy-load attributes) with its
+ * absolute URL, the largest srcset candidate, natural/displayed size, alt text and page region.
+ *
+ * A score ranks images by how likely they are the product photo; the best one is flagged
+ * `primary`. With --images-dir the top N are downloaded so the PHP side can store them.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 15000;
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+};
+
+/**
+ * Collect images (evaluated in the page).
+ *
+ * @param {Array<[string, string]>} regions PAGE_REGIONS from page-scripts.js
+ * @returns {Array<{
+ *   url: string, bestUrl: string, bestWidth: ?number,
+ *   naturalWidth: ?number, naturalHeight: ?number, displayWidth: number, displayHeight: number,
+ *   alt: ?string, title: ?string, region: string, top: number, gallery: boolean, decorative: boolean,
+ * }>}
+ */
+export function collectImages(regions) {
+    const LAZY_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-zoom-image', 'data-large'];
+    const GALLERY_HINT = /gallery|product|zoom|slider|carousel|swiper|photo|preview|main-image|fotorama/i;
+    const DECORATIVE_HINT = /logo|icon|sprite|avatar|banner|badge|flag|payment|rating|star|placeholder|spinner|loader/i;
+
+    const absolute = (value) => {
+        if (!value || !value.trim() || value.trim().startsWith('data:')) return null;
+        try {
+            return new URL(value.trim(), document.baseURI).href;
+        } catch {
+            return null;
+        }
+    };
+
+    // "a.jpg 480w, b.jpg 1080w" / "a.jpg 1x, b.jpg 2x" => candidates with a comparable size
+    const parseSrcset = (srcset) => (srcset || '').split(/,\s+/).map((part) => {
+        const [src, descriptor = '1x'] = part.trim().split(/\s+/);
+        const value = parseFloat(descriptor);
+        return {
+            url: absolute(src),
+            width: descriptor.endsWith('w') ? value : null,
+            density: descriptor.endsWith('x') ? value : 1,
+        };
+    }).filter(candidate => candidate.url);
+
+    const hints = (el) => {
+        let text = '';
+        for (let node = el, depth = 0; node && node !== document.body && depth < 4; node = node.parentElement, depth++) {
+            text += ` ${node.id} ${typeof node.className === 'string' ? node.className : ''}`;
+        }
+        return text;
+    };
+
+    const images = [];
+    for (const img of document.querySelectorAll('img')) {
+        const lazy = LAZY_ATTRIBUTES.map(name => img.getAttribute(name)).find(Boolean);
+        const url = absolute(img.currentSrc) ?? absolute(img.getAttribute('src')) ?? absolute(lazy);
+        if (!url) continue;
+
+        const candidates = [
+            ...parseSrcset(img.getAttribute('srcset') || img.getAttribute('data-srcset')),
+            ...(img.parentElement?.tagName === 'PICTURE'
+                ? [...img.parentElement.querySelectorAll('source')].flatMap(source => parseSrcset(source.getAttribute('srcset') || source.getAttribute('data-srcset')))
+                : []),
+        ];
+        // Prefer width descriptors; density descriptors only order candidates of the same image
+        const best = candidates.reduce((winner, candidate) => {
+            if (!winner) return candidate;
+            if ((candidate.width ?? 0) !== (winner.width ?? 0)) return (candidate.width ?? 0) > (winner.width ?? 0) ? candidate : winner;
+            return candidate.density > winner.density ? candidate : winner;
+        }, null);
+
+        const loaded = img.complete && img.naturalWidth > 0;
+        const rect = img.getBoundingClientRect();
+        const hint = `${hints(img)} ${img.getAttribute('alt') || ''} ${url}`;
+
+        images.push({
+            url,
+            // A lazy-load attribute usually holds the full-size image while src is a thumbnail
+            bestUrl: best?.url ?? absolute(lazy) ?? url,
+            bestWidth: best?.width ?? null,
+            naturalWidth: loaded ? img.naturalWidth : null,
+            naturalHeight: loaded ? img.naturalHeight : null,
+            displayWidth: Math.round(rect.width),
+            displayHeight: Math.round(rect.height),
+            alt: img.getAttribute('alt')?.trim() || null,
+            title: img.getAttribute('title')?.trim() || null,
+            region: regions.find(([, selector]) => img.closest(selector))?.[0] ?? 'body',
+            top: Math.round(rect.top + window.scrollY),
+            gallery: GALLERY_HINT.test(hints(img)),
+            decorative: DECORATIVE_HINT.test(hint),
+        });
+    }
+
+    return images;
+}
+
+/**
+ * Dedupe by best URL, score each image and flag the primary one.
+ *
+ * @param {ReturnType<typeof collectImages>} raw
+ * @param {{ knownImages: string[] }} context Product/OpenGraph image URLs from structured data
+ * @returns {object[]} Images in document order, with `score` and `primary`
+ */
+export function rankImages(raw, { knownImages }) {
+    const known = new Set(knownImages.map(fileKey).filter(Boolean));
+    const byUrl = new Map();
+
+    for (const image of raw) {
+        const existing = byUrl.get(image.bestUrl);
+        if (existing) {
+            // Galleries repeat the same photo as thumbnail and slide: keep the larger rendering
+            if (image.displayWidth * image.displayHeight > existing.displayWidth * existing.displayHeight) {
+                byUrl.set(image.bestUrl, { ...image, alt: image.alt ?? existing.alt });
+            }
+            continue;
+        }
+        byUrl.set(image.bestUrl, image);
+    }
+
+    const images = [...byUrl.values()].map((image) => {
+        const { top, gallery, decorative, ...fields } = image;
+        return {
+            ...fields,
+            score: score(image, known),
+            primary: false,
+        };
+    });
+
+    const primary = images.reduce((best, image) => (image.score > (best?.score ?? 0) ? image : best), null);
+    if (primary) {
+        primary.primary = true;
+    }
+
+    return images;
+}
+
+/**
+ * Download the best-scoring images. Failures are recorded per image, never thrown.
+ *
+ * @param {import('playwright').Page} page Downloads share the page's cookies
+ * @param {object[]} images Output of rankImages(); downloaded entries gain file/fileSize/downloadError
+ * @param {{ dir: string, max: number, offline: boolean }} config offline: nothing is fetched (the
+ *   API request context bypasses the page's route blocking), each candidate reports a downloadError
+ * @returns {Promise<number>} Number of files saved
+ */
+export async function downloadImages(page, images, { dir, max, offline }) {
+    const top = [...images]
+        .filter(image => image.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, max);
+    if (top.length === 0) return 0;
+
+    if (offline) {
+        for (const image of top) {
+            Object.assign(image, { file: null, fileSize: null, downloadError: 'Offline input: images are not downloaded' });
+        }
+        return 0;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    let saved = 0;
+
+    for (const [index, image] of top.entries()) {
+        image.file = null;
+        image.fileSize = null;
+        image.downloadError = null;
+
+        try {
+            const response = await page.context().request.get(image.bestUrl, { timeout: DOWNLOAD_TIMEOUT });
+            const contentType = (response.headers()['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+            if (!response.ok()) {
+                throw new Error(`HTTP ${response.status()}`);
+            }
+            if (!IMAGE_EXTENSIONS[contentType]) {
+                throw new Error(`Not an image: ${contentType || 'no content type'}`);
+            }
+
+            const body = await response.body();
+            if (body.length > MAX_DOWNLOAD_BYTES) {
+                throw new Error(`Image too large: ${body.length} bytes`);
+            }
+
+            const hash = createHash('sha1').update(image.bestUrl).digest('hex').slice(0, 12);
+            const file = path.join(dir, `${String(index + 1).padStart(2, '0')}-${hash}.${IMAGE_EXTENSIONS[contentType]}`);
+            await fs.writeFile(file, body);
+
+            image.file = file;
+            image.fileSize = body.length;
+            saved++;
+        } catch (e) {
+            image.downloadError = e?.message || String(e);
+        }
+    }
+
+    return saved;
+}
+
+/**
+ * Likelihood of being the main product photo. <= 0 means "not a candidate".
+ */
+function score(image, known) {
+    if (image.decorative && !isKnown(image.bestUrl, known)) {
+        return 0;
+    }
+
+    const area = Math.max(
+        image.displayWidth * image.displayHeight,
+        (image.naturalWidth ?? 0) * (image.naturalHeight ?? 0),
+        (image.bestWidth ?? 0) ** 2 / 2
+    );
+    // Up to 5 points for size; a 600x600 rendering gets the maximum
+    let points = Math.min(5, area / 72000);
+
+    if (isKnown(image.bestUrl, known) || isKnown(image.url, known)) points += 5;
+    if (image.gallery) points += 2;
+    if (image.region === 'main') points += 2;
+    if (['header', 'footer', 'nav', 'breadcrumb'].includes(image.region)) points -= 5;
+    if (image.displayWidth > 0 && image.displayWidth < 100) points -= 3;
+    if (image.top < 1200) points += 1;
+
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Whether the image is one of the structured-data images. URLs without a file name never match.
+ */
+function isKnown(url, known) {
+    const key = fileKey(url);
+    return key !== '' && known.has(key);
+}
+
+/**
+ * Compare images by file name: CDNs serve the same photo under different hosts and resize params.
+ */
+function fileKey(url) {
+    try {
+        return new URL(url).pathname.split('/').pop().toLowerCase();
+    } catch {
+        return url;
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Rich link metadata for the `links` output section.
+ *
+ * Each distinct link target becomes one entry with its anchor text, rel tokens, the page region it
+ * was found in (breadcrumb, nav, header, main, aside, footer, body) and a normalized URL without
+ * tracking parameters or fragment, so the crawler can dedupe and prioritize links.
+ * `extractedUrls` keeps the plain string list for older consumers.
+ */
+
+// Query parameters that only identify campaigns/clicks, never content
+const TRACKING_PARAMS = new Set([
+    'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'ysclid', 'ttclid',
+    'twclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_openstat', 'srsltid', 'spm',
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+/**
+ * Drop the fragment and tracking parameters from a URL.
+ *
+ * @param {string} url Absolute URL
+ * @returns {string}
+ */
+export function normalizeLinkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+
+    parsed.hash = '';
+    for (const name of [...parsed.searchParams.keys()]) {
+        const key = name.toLowerCase();
+        if (TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+            parsed.searchParams.delete(name);
+        }
+    }
+    // URLSearchParams leaves a bare "?" behind when every parameter was removed
+    return parsed.href.replace(/\?$/, '');
+}
+
+/**
+ * Merge link elements pointing at the same normalized URL.
+ *
+ * @param {Array<{ url: string, text: string, rel: string[], region: string }>} details From collectLinkDetails()
+ * @param {string[]} extraUrls Links seen earlier but no longer in the DOM (listing mode)
+ * @param {string} pageUrl Final page URL, for the same-origin flag
+ * @returns {Array<{ url: string, normalizedUrl: string, text: string, rel: string[], region: ?string, regions: string[], sameOrigin: boolean, count: number }>}
+ */
+export function buildLinks(details, extraUrls, pageUrl) {
+    const origin = originOf(pageUrl);
+    const byUrl = new Map();
+
+    for (const detail of details) {
+        const normalizedUrl = normalizeLinkUrl(detail.url);
+        const entry = byUrl.get(normalizedUrl);
+
+        if (!entry) {
+            byUrl.set(normalizedUrl, {
+                url: detail.url,
+                normalizedUrl,
+                text: detail.text,
+                rel: [...detail.rel],
+                region: detail.region,
+                regions: [detail.region],
+                sameOrigin: originOf(detail.url) === origin,
+                count: 1,
+            });
+            continue;
+        }
+
+        // Keep the first element's text unless it had none (icon links before the titled one)
+        entry.count++;
+        entry.text ||= detail.text;
+        for (const rel of detail.rel) {
+            if (!entry.rel.includes(rel)) entry.rel.push(rel);
+        }
+        if (!entry.regions.includes(detail.region)) entry.regions.push(detail.region);
+    }
+
+    for (const url of extraUrls) {
+        const normalizedUrl = normalizeLinkUrl(url);
+        if (byUrl.has(normalizedUrl)) continue;
+
+        byUrl.set(normalizedUrl, {
+            url,
+            normalizedUrl,
+            text: '',
+            rel: [],
+            region: null,
+            regions: [],
+            sameOrigin: originOf(url) === origin,
+            count: 0,
+        });
+    }
+
+    return [...byUrl.values()];
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Listing mode: expand lazy-loaded category grids before links are collected.
+ *
+ * Each iteration clicks the "load more" control (when configured and visible) or scrolls to the
+ * bottom, waits for the page to settle and collects links. Links are accumulated across
+ * iterations, so virtualized grids that drop earlier items from the DOM still yield the full set.
+ */
+
+import { collectLinks } from './page-scripts.js';
+
+/**
+ * @param {import('playwright').Page} page
+ * @param {{ loadMoreSelector: ?string, scroll: boolean, maxIterations: number, maxTimeMs: number, settleMs: number }} config
+ * @returns {Promise<{
+ *   urls: string[],
+ *   report: {
+ *     stopReason: 'no-new-links'|'max-iterations'|'max-time'|'nothing-to-do'|'error',
+ *     error: ?string,
+ *     totalLinks: number,
+ *     durationMs: number,
+ *     iterations: Array<{ iteration: number, action: string, newLinks: number, totalLinks: number, durationMs: number }>,
+ *   },
+ * }>}
+ */
+export async function expandListing(page, { loadMoreSelector, scroll, maxIterations, maxTimeMs, settleMs }) {
+    const startTime = Date.now();
+    const seen = new Set(await page.evaluate(collectLinks));
+    const iterations = [];
+    let stopReason = 'max-iterations';
+    let error = null;
+
+    try {
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            if (Date.now() - startTime >= maxTimeMs) {
+                stopReason = 'max-time';
+                break;
+            }
+
+            const iterationStart = Date.now();
+            const action = await advance(page, loadMoreSelector, scroll);
+            if (action === null) {
+                stopReason = 'nothing-to-do';
+                break;
+            }
+
+            await settle(page, settleMs);
+
+            let newLinks = 0;
+            for (const url of await page.evaluate(collectLinks)) {
+                if (!seen.has(url)) {
+                    seen.add(url);
+                    newLinks++;
+                }
+            }
+
+            iterations.push({
+                iteration,
+                action,
+                newLinks,
+                totalLinks: seen.size,
+                durationMs: Date.now() - iterationStart,
+            });
+
+            if (newLinks === 0) {
+                stopReason = 'no-new-links';
+                break;
+            }
+        }
+    } catch (e) {
+        // Keep what was collected so far; the page itself is still usable
+        stopReason = 'error';
+        error = e?.message || String(e);
+    }
+
+    return {
+        urls: [...seen],
+        report: {
+            stopReason,
+            error,
+            totalLinks: seen.size,
+            durationMs: Date.now() - startTime,
+            iterations,
+        },
+    };
+}
+
+/**
+ * Trigger the next batch of items.
+ *
+ * @returns {Promise<?string>} "click", "scroll", or null when there is nothing left to trigger
+ */
+async function advance(page, loadMoreSelector, scroll) {
+    if (loadMoreSelector) {
+        const button = page.locator(loadMoreSelector).first();
+        if (await button.count() > 0 && await button.isVisible() && await button.isEnabled()) {
+            await button.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+            await button.click({ timeout: 5000 });
+            return 'click';
+        }
+    }
+
+    if (scroll) {
+        await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+        return 'scroll';
+    }
+
+    return null;
+}
+
+async function settle(page, settleMs) {
+    // Wait for the XHR that appends items, but never longer than settleMs
+    await page.waitForLoadState('networkidle', { timeout: settleMs }).catch(() => {});
+    await page.waitForTimeout(Math.min(300, settleMs));
+}
@@ -0,0 +1,202 @@
+/**
+ * Main-content detection: find the element that holds the page's own content, leaving out
+ * sidebars, recommendation carousels, mega-menus and other chrome.
+ *
+ * Readability-style scoring: every text block (paragraph, list item, cell, leaf div) adds points
+ * for its length and commas to its parent and, at a discount, to its grandparents. Containers
+ * gain or lose points for semantic tags and class/id hints, and are penalized by link density.
+ *
+ * The chosen element is marked with data-extractor-main so snapshotContent() can walk just it.
+ */
+
+export const MAIN_CONTENT_SELECTOR = '[data-extractor-main]';
+
+/**
+ * Score containers and mark the winner (evaluated in the page).
+ *
+ * Confidence (0..1) combines the share of the page's block text inside the container, how far it
+ * is ahead of the best unrelated candidate, its link density and semantic hints.
+ *
+ * @param {{ excludeSelectors?: string[], selector?: ?string }} [config]
+ *   excludeSelectors are ignored like in snapshotContent(); selector (from the site profile) wins when it matches
+ * @returns {{ selector: string, method: 'profile'|'scoring'|'fallback', confidence: number, score: ?number, textShare: ?number, linkDensity: ?number }}
+ */
+export function detectMainContent({ excludeSelectors = [], selector = null } = {}) {
+    const MARKER = 'data-extractor-main';
+    const BLOCKS = 'p, li, td, dd, pre, blockquote, h1, h2, h3, h4, h5, h6, div';
+    const NESTED_BLOCKS = 'p, li, td, dd, pre, blockquote, div, table, ul, ol';
+    const SKIP = 'script, style, noscript, template, header, footer, nav, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]';
+    const POSITIVE = /article|content|entry|main|post|story|text|product|description|detail|body/i;
+    const NEGATIVE = /comment|footer|header|menu|nav|sidebar|aside|related|recommend|similar|carousel|slider|swiper|banner|promo|advert|\bads?\b|share|social|widget|breadcrumb|cookie|consent|popup|modal|subscribe|newsletter|viewed/i;
+    const MIN_BLOCK_LENGTH = 25;
+
+    for (const el of document.querySelectorAll(`[${MARKER}]`)) {
+        el.removeAttribute(MARKER);
+    }
+
+    const escape = value => (window.CSS?.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+    const cssPath = (el) => {
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+            if (node.id && document.querySelectorAll(`#${escape(node.id)}`).length === 1) {
+                parts.unshift(`#${escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            if (node === document.body || !node.parentElement) {
+                parts.unshift(tag);
+                break;
+            }
+            const sameTag = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
+    };
+    const choose = (el, fields) => {
+        el.setAttribute(MARKER, '');
+        return { selector: cssPath(el), ...fields };
+    };
+
+    // An explicit profile selector needs no guessing
+    if (selector) {
+        let el = null;
+        try {
+            el = document.querySelector(selector);
+        } catch {
+            // invalid selector: fall back to scoring
+        }
+        if (el) {
+            return choose(el, { method: 'profile', confidence: 1, score: null, textShare: null, linkDensity: null });
+        }
+    }
+
+    const excluded = [];
+    for (const excludeSelector of excludeSelectors) {
+        try {
+            excluded.push(...document.querySelectorAll(excludeSelector));
+        } catch {
+            // ignore invalid selector
+        }
+    }
+    const isSkipped = el => el.closest(SKIP) !== null || excluded.some(parent => parent.contains(el));
+    const isVisible = el => (typeof el.checkVisibility === 'function' ? el.checkVisibility({ visibilityProperty: true }) : true);
+    const textOf = el => el.textContent.replace(/\s+/g, ' ').trim();
+
+    const hintWeight = (el) => {
+        const hint = `${el.id} ${typeof el.className === 'string' ? el.className : ''}`;
+        let weight = 0;
+        if (POSITIVE.test(hint)) weight += 25;
+        if (NEGATIVE.test(hint)) weight -= 25;
+        return weight;
+    };
+    const tagWeight = (el) => {
+        if (el.tagName === 'MAIN' || el.tagName === 'ARTICLE' || el.getAttribute('role') === 'main') return 15;
+        if (el.tagName === 'DIV' || el.tagName === 'SECTION') return 5;
+        if (['PRE', 'TD', 'BLOCKQUOTE'].includes(el.tagName)) return 3;
+        if (['OL', 'UL', 'DL', 'DD', 'DT', 'LI', 'FORM'].includes(el.tagName)) return -3;
+        if (/^H[1-6]$|^TH$/.test(el.tagName)) return -5;
+        return 0;
+    };
+
+    // Leaf text blocks; a div only counts when it holds text directly (no nested blocks)
+    const candidates = new Map();
+    const blockText = new Map();
+    let totalText = 0;
+    for (const block of document.body.querySelectorAll(BLOCKS)) {
+        if ((block.tagName === 'DIV' || block.tagName === 'LI' || block.tagName === 'TD') && block.querySelector(NESTED_BLOCKS)) continue;
+        if (isSkipped(block) || !isVisible(block)) continue;
+
+        const text = textOf(block);
+        if (text.length < MIN_BLOCK_LENGTH) continue;
+        blockText.set(block, text.length);
+        totalText += text.length;
+
+        const points = 1 + (text.match(/[,，、]/g)?.length ?? 0) + Math.min(3, Math.floor(text.length / 100));
+        let ancestor = block.parentElement;
+        for (let level = 0; level < 3 && ancestor && ancestor !== document.documentElement; level++, ancestor = ancestor.parentElement) {
+            if (!candidates.has(ancestor)) {
+                candidates.set(ancestor, tagWeight(ancestor) + hintWeight(ancestor));
+            }
+            candidates.set(ancestor, candidates.get(ancestor) + points / (level === 0 ? 1 : level * 2));
+        }
+    }
+
+    // Text and linked-text length (non-space characters) of every element in one bottom-up pass
+    // (reverse document order puts descendants first): measuring each candidate's subtree is quadratic
+    const textLength = new Map();
+    const linkLength = new Map();
+    const elements = [document.body, ...document.body.querySelectorAll('*')];
+    for (let i = elements.length - 1; i >= 0; i--) {
+        let text = 0;
+        let linked = 0;
+        for (const node of elements[i].childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                text += node.data.replace(/\s+/g, '').length;
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                text += textLength.get(node) ?? 0;
+                linked += linkLength.get(node) ?? 0;
+            }
+        }
+        textLength.set(elements[i], text);
+        linkLength.set(elements[i], elements[i].tagName === 'A' ? text : linked);
+    }
+    const linkDensityOf = (el) => {
+        const length = textLength.get(el) ?? 0;
+        return length === 0 ? 1 : Math.min(1, linkLength.get(el) / length);
+    };
+
+    const ranked = [...candidates.entries()]
+        .filter(([, score]) => score > 0)
+        .map(([el, score]) => {
+            const linkDensity = linkDensityOf(el);
+            return { el, score: score * (1 - linkDensity), linkDensity };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0 || ranked[0].score <= 0) {
+        return choose(document.body, { method: 'fallback', confidence: 0, score: null, textShare: null, linkDensity: null });
+    }
+
+    // Content split across sibling containers (description + specs + gallery): when several strong
+    // candidates share an ancestor below <body>, that ancestor is the real content root
+    let top = ranked[0];
+    const strong = ranked.slice(1, 6).filter(other => other.score >= top.score * 0.75
+        && !top.el.contains(other.el) && !other.el.contains(top.el));
+    if (strong.length >= 2) {
+        let common = top.el.parentElement;
+        while (common && !strong.every(other => common.contains(other.el))) {
+            common = common.parentElement;
+        }
+        if (common && common !== document.body && common !== document.documentElement && !isSkipped(common)) {
+            top = ranked.find(candidate => candidate.el === common)
+                ?? { el: common, score: top.score, linkDensity: linkDensityOf(common) };
+        }
+    }
+
+    // Short siblings of the winner (spec table, price block) belong to it when the parent adds
+    // little text and no extra links
+    for (let parent = top.el.parentElement; parent && parent !== document.body && !isSkipped(parent); parent = parent.parentElement) {
+        const linkDensity = linkDensityOf(parent);
+        if (textLength.get(parent) > textLength.get(top.el) * 1.35 || linkDensity > top.linkDensity + 0.1) break;
+        top = { el: parent, score: Math.max(top.score, candidates.get(parent) ?? 0), linkDensity };
+    }
+
+    let inside = 0;
+    for (const [block, length] of blockText) {
+        if (top.el.contains(block)) inside += length;
+    }
+    const runnerUp = ranked.find(other => !top.el.contains(other.el) && !other.el.contains(top.el));
+    const textShare = totalText > 0 ? inside / totalText : 0;
+    const margin = runnerUp ? Math.max(0, 1 - runnerUp.score / top.score) : 1;
+    const semantic = tagWeight(top.el) === 15 || hintWeight(top.el) > 0 ? 0.1 : 0;
+    const confidence = Math.min(1, 0.5 * textShare + 0.4 * margin * (1 - top.linkDensity) + semantic);
+
+    const round = value => Math.round(value * 100) / 100;
+    return choose(top.el, {
+        method: 'scoring',
+        confidence: round(confidence),
+        score: round(top.score),
+        textShare: round(textShare),
+        linkDensity: round(top.linkDensity),
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * Request interception: block resource types and URL patterns, count what the page loaded.
+ *
+ * Block lists come from the site profile (blockResourceTypes, blockUrlPatterns) and can be
+ * overridden per run (--block-resources, --block-urls).
+ */
+
+import { InvalidOptionsError } from './errors.js';
+
+/**
+ * Route all page requests through the block lists and collect traffic statistics.
+ *
+ * @param {import('playwright').Page} page
+ * @param {{ blockTypes: string[], blockPatterns: string[], keepImages: boolean }} config
+ * @returns {Promise<{ stats: () => Promise<object> }>} Call stats() after extraction for the final numbers
+ * @throws {InvalidOptionsError} When a "/regex/" pattern is invalid
+ */
+export async function interceptRequests(page, { blockTypes, blockPatterns, keepImages }) {
+    // Screenshots and image downloads need images, whatever the block list says
+    const types = new Set(blockTypes.filter(type => !(keepImages && type === 'image')));
+    const matchers = blockPatterns.map(urlMatcher);
+
+    const counters = {
+        requests: 0,
+        finished: 0,
+        failed: 0,
+        blocked: 0,
+        blockedByType: {},
+        bytes: 0,
+    };
+    const pendingSizes = [];
+
+    if (types.size > 0 || matchers.length > 0) {
+        await page.route('**/*', (route) => {
+            const request = route.request();
+            const type = request.resourceType();
+            const url = request.url();
+
+            // Never block the page itself
+            if (type !== 'document' && (types.has(type) || matchers.some(match => match(url)))) {
+                counters.blocked++;
+                counters.blockedByType[type] = (counters.blockedByType[type] ?? 0) + 1;
+                return route.abort('blockedbyclient');
+            }
+            return route.fallback();
+        });
+    }
+
+    page.on('request', () => {
+        counters.requests++;
+    });
+    page.on('requestfinished', (request) => {
+        counters.finished++;
+        pendingSizes.push(request.sizes()
+            .then((sizes) => {
+                counters.bytes += sizes.responseBodySize + sizes.responseHeadersSize;
+            })
+            .catch(() => {}));
+    });
+    page.on('requestfailed', () => {
+        counters.failed++;
+    });
+
+    return {
+        stats: async () => {
+            await Promise.all(pendingSizes);
+            return {
+                ...counters,
+                // Blocked requests are reported as failed by the browser too
+                failed: Math.max(0, counters.failed - counters.blocked),
+                blockedTypes: [...types],
+                blockedPatterns: blockPatterns,
+            };
+        },
+    };
+}
+
+/**
+ * "/regex/" patterns are regular expressions; anything else is a substring of the URL.
+ *
+ * @param {string} pattern
+ * @returns {(url: string) => boolean}
+ * @throws {InvalidOptionsError} When a "/regex/" pattern is not a valid regular expression
+ */
+export function urlMatcher(pattern) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        let re;
+        try {
+            re = new RegExp(pattern.slice(1, -1), 'i');
+        } catch (e) {
+            throw new InvalidOptionsError(`Invalid URL pattern ${pattern}: ${e.message}`, { cause: e });
+        }
+        return url => re.test(url);
+    }
+    const needle = pattern.toLowerCase();
+    return url => url.toLowerCase().includes(needle);
+}
@@ -0,0 +1,305 @@
+/**
+ * Offer detection: current price, old (strikethrough) price, per-unit price, currency and
+ * availability, with the element it came from and a confidence score.
+ *
+ * Structured data (JSON-LD, microdata, OpenGraph) wins when it has a price; the visible DOM
+ * fills the gaps (old price, availability) and confirms it. Without structured data the most
+ * prominent price in the main content is taken: large font, price-like class, near the top,
+ * outside header/footer/sidebars/recommendation blocks.
+ */
+
+import { parsePrice } from './structured-data.js';
+
+// Checked in order: the first match wins
+const CURRENCIES = [
+    ['UAH', /^(₴|грн\.?|гривень|гривен|uah)$/i],
+    ['RUB', /^(₽|руб\.?|rub)$/i],
+    ['USD', /^(\$|us\$|usd)$/i],
+    ['EUR', /^(€|eur)$/i],
+    ['GBP', /^(£|gbp)$/i],
+    ['PLN', /^(zł|pln)$/i],
+    ['KZT', /^(₸|тг|kzt)$/i],
+];
+
+// Checked in order: "нет в наличии" must not count as "в наличии"
+const AVAILABILITY = [
+    ['Discontinued', /discontinued|снят с производства|знято з виробництва|nicht mehr erhältlich|wycofany/i],
+    ['OutOfStock', /out of stock|sold out|not available|unavailable|нет в наличии|нет на складе|немає в наявності|відсутній|закінчився|закончился|ausverkauft|nicht verfügbar|niedostępny|brak w magazynie|agotado|rupture de stock|esaurito|notify me|сообщить о поступлении|повідомити про наявність/i],
+    ['PreOrder', /pre-?order|предзаказ|передзамовлення|vorbestell|przedsprzedaż|precompra|précommande/i],
+    ['BackOrder', /on backorder|под заказ|під замовлення|auf bestellung|na zamówienie|bajo pedido|sur commande/i],
+    ['LimitedAvailability', /only \d+ left|few left|low stock|заканчивается|осталось мало|закінчується|залишилось мало|nur noch \d+|ostatnie sztuki/i],
+    ['InStock', /in stock|^available\b(?! in)|available now|в наличии|есть на складе|в наявності|є на складі|auf lager|lieferbar|dostępny|w magazynie|en stock|disponible|disponibile/i],
+];
+// A working "buy" button is weaker evidence than an explicit stock phrase
+const BUY_BUTTON = /add to (cart|bag|basket)|buy now|купить|купити|в корзину|у кошик|до кошика|in den warenkorb|do koszyka|añadir al carrito|ajouter au panier|aggiungi al carrello/i;
+
+const PRICE_HINT = /price|cost|amount|цін|цен|prix|preis|cena|precio|prezzo/i;
+const OLD_HINT = /old|was|before|regular|strike|crossed|compare|previous|original|стар|перечерк/i;
+
+/**
+ * Collect price and availability candidates (evaluated in the page).
+ * Each candidate is the innermost element holding the whole phrase.
+ *
+ * @returns {{
+ *   prices: Array<{ selector: string, text: string, amount: string, currency: ?string, perUnit: ?string,
+ *     fontSize: number, bold: boolean, strike: boolean, hint: string, top: number,
+ *     main: boolean, chrome: boolean, related: boolean }>,
+ *   availability: Array<{ selector: string, text: string, button: boolean, disabled: boolean, main: boolean, chrome: boolean, related: boolean }>,
+ * }}
+ */
+export function collectOfferCandidates() {
+    const CURRENCY = '₴|грн\\.?|гривень|гривен|uah|₽|руб\\.?|rub|us\\$|\\$|usd|€|eur|£|gbp|zł|pln|₸|тг|kzt';
+    // Grouped ("1 299", "1.299.000", "1,299.00") or plain ("12,99"); parsePrice() tells groups from decimals
+    const NUMBER = "\\d{1,3}(?:[\\s\\u00a0\\u202f.,']\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+    const PRICE = new RegExp(`(?:(${CURRENCY})\\s?(${NUMBER})|(${NUMBER})\\s?(${CURRENCY}))(?![\\p{L}\\d])`, 'iu');
+    // Measurement units only: "1 299 грн/шт" is the price of the item itself
+    const PER_UNIT = /(?:\/|за|per)\s*(?:1\s*)?(кг|kg|г|g|100\s?г|100\s?g|л|l|мл|ml|м²|m²|м2|m2|м|m)(?![\p{L}\d])/iu;
+    const PRICE_HINT = /price|cost|amount|цін|цен|prix|preis|cena|precio|prezzo/i;
+    const BUTTON_TEXT = /add to (cart|bag|basket)|buy now|купить|купити|в корзину|у кошик|до кошика|in den warenkorb|do koszyka|añadir al carrito|ajouter au panier|aggiungi al carrello/i;
+    const STOCK_TEXT = /stock|available|sold out|наличи|складе|складі|наявн|заказ|замовлен|lager|lieferbar|verfügbar|erhältlich|dostępn|magazyn|zamówieni|disponib|agotado|esaurito|notify|поступлени|order|мало|left/i;
+    const CHROME = 'header, footer, nav, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"]';
+    const RELATED = /related|recommend|similar|viewed|upsell|cross-?sell|accessor|bundle|carousel|slider|swiper|mini-?cart|basket-popup|cart-popup/i;
+    const SKIP = 'script, style, noscript, template, svg, select, option';
+    const MAX_LENGTH = 60;
+
+    const textOf = el => (el.textContent ?? '').replace(/\s+/g, ' ').trim();
+    const hintsOf = (el, levels) => {
+        let hint = '';
+        for (let node = el, depth = 0; node && node !== document.body && depth < levels; node = node.parentElement, depth++) {
+            hint += ` ${node.id} ${typeof node.className === 'string' ? node.className : ''} ${node.getAttribute('itemprop') ?? ''}`;
+        }
+        return hint;
+    };
+    const escape = value => (window.CSS?.escape ? CSS.escape(value) : value.replace(/[^\w-]/g, '\\$&'));
+    const cssPath = (el) => {
+        const parts = [];
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+            if (node.id && document.querySelectorAll(`#${escape(node.id)}`).length === 1) {
+                parts.unshift(`#${escape(node.id)}`);
+                break;
+            }
+            const tag = node.tagName.toLowerCase();
+            if (node === document.body || !node.parentElement) {
+                parts.unshift(tag);
+                break;
+            }
+            const sameTag = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+        }
+        return parts.join(' > ');
+    };
+    const isVisible = el => (typeof el.checkVisibility === 'function' ? el.checkVisibility({ visibilityProperty: true }) : true);
+    const context = el => ({
+        selector: cssPath(el),
+        main: el.closest('[data-extractor-main], main, [role="main"]') !== null,
+        chrome: el.closest(CHROME) !== null,
+        related: RELATED.test(hintsOf(el, 6)),
+    });
+
+    // Non-space characters under each element, in one bottom-up pass (reverse document order puts
+    // descendants first): reading textContent of every element would be quadratic
+    const elements = [...document.body.querySelectorAll('*')];
+    const weights = new Map();
+    for (let i = elements.length - 1; i >= 0; i--) {
+        let weight = 0;
+        for (const node of elements[i].childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                weight += node.data.replace(/\s+/g, '').length;
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                weight += weights.get(node) ?? 0;
+            }
+        }
+        weights.set(elements[i], weight);
+    }
+
+    const prices = [];
+    const availability = [];
+    for (const el of elements) {
+        // Collapsed text is never shorter than its non-space characters
+        const weight = weights.get(el);
+        if (weight === 0 || weight > MAX_LENGTH || el.closest(SKIP)) continue;
+        const text = textOf(el);
+        if (!text || text.length > MAX_LENGTH) continue;
+        const children = [...el.children];
+
+        // Price: "1 299 ₴", "$19.99", or a bare number inside a price-like element
+        let match = text.match(PRICE);
+        const hint = hintsOf(el, 2);
+        if (!match && PRICE_HINT.test(hint) && /^\d[\d\s  .,']*$/.test(text)) {
+            match = [text, null, null, text, null];
+        }
+        if (match && !children.some(child => child.textContent.includes(match[0])) && isVisible(el)) {
+            const style = window.getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            const struck = el.closest('del, s, strike') !== null
+                || [el, el.parentElement].some(node => node && window.getComputedStyle(node).textDecorationLine?.includes('line-through'));
+            prices.push({
+                ...context(el),
+                text,
+                amount: match[2] ?? match[3],
+                currency: match[1] ?? match[4] ?? null,
+                perUnit: text.match(PER_UNIT)?.[1] ?? null,
+                fontSize: parseFloat(style.fontSize) || 0,
+                bold: style.fontWeight === 'bold' || (parseInt(style.fontWeight, 10) || 400) >= 600,
+                strike: struck,
+                hint,
+                top: Math.round(rect.top + window.scrollY),
+            });
+        }
+
+        // Availability: stock phrases and buy/notify buttons
+        const button = el.matches('button, a, input[type="submit"], [role="button"]');
+        const phrase = button ? BUTTON_TEXT.test(text) || STOCK_TEXT.test(text) : STOCK_TEXT.test(text);
+        const phraseInChild = children.some(child => STOCK_TEXT.test(textOf(child)) || BUTTON_TEXT.test(textOf(child)));
+        if (phrase && !phraseInChild && isVisible(el)) {
+            availability.push({
+                ...context(el),
+                text,
+                button,
+                disabled: button && (el.disabled === true || el.getAttribute('aria-disabled') === 'true' || /disabled/i.test(el.className)),
+            });
+        }
+    }
+
+    return { prices, availability };
+}
+
+/**
+ * Build the `offer` output section.
+ *
+ * @param {ReturnType<typeof collectOfferCandidates>} candidates
+ * @param {?object} product structuredData.product
+ * @returns {?{
+ *   source: string, price: ?number, oldPrice: ?number, unitPrice: ?{ price: number, unit: string },
+ *   currency: ?string, availability: ?string, availabilityText: ?string,
+ *   element: ?{ selector: string, text: string }, availabilityElement: ?{ selector: string, text: string },
+ *   confidence: number,
+ * }} null when the page shows neither a price nor availability
+ */
+export function detectOffer(candidates, product) {
+    const prices = candidates.prices
+        .map(candidate => ({
+            ...candidate,
+            price: parsePrice(candidate.amount),
+            currency: currencyCode(candidate.currency),
+            kind: candidate.strike || OLD_HINT.test(candidate.hint) ? 'old' : (candidate.perUnit ? 'unit' : 'current'),
+        }))
+        .filter(candidate => candidate.price !== null && candidate.price > 0)
+        .map(candidate => ({ ...candidate, score: priceScore(candidate) }));
+
+    // A per-unit price is only the unit price next to a separate item price: goods sold by weight
+    // or length ("89 грн/кг") show nothing else
+    if (!prices.some(c => c.kind === 'current' && c.score > 0)) {
+        for (const candidate of prices) {
+            if (candidate.kind === 'unit') candidate.kind = 'current';
+        }
+    }
+
+    const current = prices.filter(c => c.kind === 'current' && c.score > 0).sort((a, b) => b.score - a.score);
+    const structured = product?.offers?.find(offer => offer.price !== null) ?? null;
+    const pageCurrency = mostCommon(prices.map(c => c.currency).filter(Boolean));
+
+    let source;
+    let best;
+    let confidence;
+    if (structured) {
+        // Point at the visible element showing the same amount, if any
+        best = current.find(c => c.price === structured.price) ?? null;
+        source = product.source;
+        confidence = (source === 'opengraph' ? 0.8 : 0.9) + (best ? 0.05 : 0);
+    } else {
+        best = current[0] ?? null;
+        source = best ? 'dom' : null;
+        if (best) {
+            const margin = current[1] ? Math.max(0, 1 - current[1].score / best.score) : 1;
+            confidence = Math.min(0.85, 0.3 + 0.35 * margin + (best.currency ? 0.1 : 0) + (best.main ? 0.1 : 0));
+        }
+    }
+
+    const price = structured?.price ?? best?.price ?? null;
+    const old = price === null ? null : prices
+        .filter(c => c.kind === 'old' && c.price > price && !c.chrome && !c.related)
+        .sort((a, b) => b.score - a.score)[0] ?? null;
+    const unit = prices.filter(c => c.kind === 'unit' && !c.chrome && !c.related).sort((a, b) => b.score - a.score)[0] ?? null;
+    const stock = detectAvailability(candidates.availability);
+    const availability = structured?.availability ?? stock?.availability ?? null;
+
+    if (price === null && availability === null) {
+        return null;
+    }
+    if (!source) {
+        source = 'dom';
+        confidence = stock?.button ? 0.3 : 0.5;
+    }
+
+    return {
+        source,
+        price,
+        oldPrice: old?.price ?? null,
+        unitPrice: unit ? { price: unit.price, unit: unit.perUnit } : null,
+        currency: structured?.priceCurrency ?? best?.currency ?? pageCurrency,
+        availability,
+        availabilityText: stock?.text ?? null,
+        element: best ? { selector: best.selector, text: best.text } : null,
+        availabilityElement: stock ? { selector: stock.selector, text: stock.text } : null,
+        confidence: Math.round(Math.min(1, confidence) * 100) / 100,
+    };
+}
+
+/**
+ * ISO 4217 code for a currency symbol or abbreviation.
+ *
+ * @param {?string} token "₴", "грн", "$", "EUR", ...
+ * @returns {?string}
+ */
+export function currencyCode(token) {
+    if (!token) return null;
+    const value = token.trim();
+    return CURRENCIES.find(([, pattern]) => pattern.test(value))?.[0] ?? null;
+}
+
+/**
+ * How prominent a price looks. <= 0 means "not the page's own price".
+ */
+function priceScore(candidate) {
+    let points = Math.min(8, candidate.fontSize / 3);
+    if (candidate.bold) points += 1;
+    if (PRICE_HINT.test(candidate.hint)) points += 3;
+    if (candidate.main) points += 3;
+    if (candidate.currency) points += 2;
+    if (candidate.top < 1200) points += 2;
+    else if (candidate.top < 2500) points += 1;
+    if (candidate.chrome) points -= 8;
+    if (candidate.related) points -= 8;
+    return Math.round(points * 100) / 100;
+}
+
+/**
+ * Strongest availability signal: explicit phrases beat buttons, the main content beats the rest.
+ */
+function detectAvailability(candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        if (candidate.chrome || candidate.related) continue;
+
+        let availability = AVAILABILITY.find(([, pattern]) => pattern.test(candidate.text))?.[0] ?? null;
+        if (!availability && candidate.button && BUY_BUTTON.test(candidate.text)) {
+            availability = candidate.disabled ? 'OutOfStock' : 'InStock';
+        }
+        if (!availability) continue;
+
+        const strength = (candidate.button ? 0 : 2) + (candidate.main ? 1 : 0);
+        if (!best || strength > best.strength) {
+            best = { ...candidate, availability, strength };
+        }
+    }
+    return best;
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
@@ -0,0 +1,118 @@
+/**
+ * Offline input: stored HTML (--html-file, stdin, "html" in daemon requests) or file:// URLs.
+ *
+ * The HTML is served as the response to the base URL (--base-url, else the page URL), so relative
+ * links, the site profile and every collector behave as on the live page. Every other request is
+ * aborted: the result depends only on the input, which makes corpus reprocessing and fixture-based
+ * runs deterministic.
+ *
+ *   http(s) base URL   HTML fulfilled as a 200 response to the base URL
+ *   file:// URL        loaded by the browser from disk (relative links resolve to files)
+ *   no base URL        page.setContent() on about:blank (relative links are dropped)
+ */
+
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { InvalidOptionsError } from './errors.js';
+
+/**
+ * @param {object} options Normalized extraction options
+ * @returns {?{ input: 'html'|'file', baseUrl: string }} The `offline` output section, null for live pages
+ */
+export function offlineSource(options) {
+    if (options.html !== null) {
+        return { input: 'html', baseUrl: options.url };
+    }
+    if (options.url.startsWith('file:')) {
+        return { input: 'file', baseUrl: options.baseUrl ?? options.url };
+    }
+    return null;
+}
+
+/**
+ * Load the offline input into the page (instead of page.goto()).
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options Normalized extraction options
+ * @returns {Promise<?import('playwright').Response>} The synthesized response, null for setContent()
+ * @throws {InvalidOptionsError} When the file cannot be read
+ */
+export async function loadOffline(page, options) {
+    const source = offlineSource(options);
+    const navigation = { waitUntil: options.waitFor, timeout: options.timeout };
+
+    // A file without a separate base URL is opened as is
+    if (source.input === 'file' && source.baseUrl === options.url) {
+        await blockNetwork(page, { url: options.url, html: null });
+        return page.goto(options.url, navigation);
+    }
+
+    const html = source.input === 'html' ? options.html : await readFile(options.url);
+    if (!/^https?:/i.test(source.baseUrl)) {
+        await blockNetwork(page, null);
+        await page.setContent(html, navigation);
+        return null;
+    }
+
+    await blockNetwork(page, { url: source.baseUrl, html });
+    return page.goto(source.baseUrl, navigation);
+}
+
+/**
+ * Read --html-file: a path, or "-" for stdin.
+ *
+ * @param {string} source
+ * @returns {Promise<string>}
+ * @throws {InvalidOptionsError} When it cannot be read
+ */
+export async function readHtmlInput(source) {
+    try {
+        if (source !== '-') {
+            return await fs.readFile(source, 'utf8');
+        }
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).toString('utf8');
+    } catch (e) {
+        throw new InvalidOptionsError(`Cannot read HTML from ${source === '-' ? 'stdin' : source}: ${e.message}`, { cause: e });
+    }
+}
+
+/**
+ * Abort every request except the document itself: the first main-frame navigation to its URL is
+ * fulfilled with the input HTML, or continued for a file:// document the browser reads from disk.
+ * Registered after the block lists, so it runs first.
+ *
+ * @param {?{ url: string, html: ?string }} doc null for setContent(), which makes no request
+ */
+async function blockNetwork(page, doc) {
+    const documentUrl = doc ? withoutHash(doc.url) : null;
+    let served = false;
+    await page.route('**/*', (route) => {
+        const request = route.request();
+        if (!served && documentUrl !== null && request.isNavigationRequest()
+            && request.frame() === page.mainFrame() && withoutHash(request.url()) === documentUrl) {
+            served = true;
+            return doc.html === null
+                ? route.continue()
+                : route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: doc.html });
+        }
+        return route.abort('blockedbyclient');
+    });
+}
+
+function withoutHash(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+}
+
+async function readFile(url) {
+    try {
+        return await fs.readFile(fileURLToPath(url), 'utf8');
+    } catch (e) {
+        throw new InvalidOptionsError(`Cannot read ${url}: ${e.message}`, { cause: e });
+    }
+}
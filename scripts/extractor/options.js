@@ -0,0 +1,344 @@
+/**
+ * Extraction options shared by the one-shot CLI, the daemon and its clients.
+ *
+ * CLI flags (--wait-for=networkidle) and JSON request bodies ({"waitFor": "networkidle"})
+ * are both normalized into the same options object, so every entry point behaves the same.
+ */
+
+import { normalizeEmulation } from './emulation.js';
+import { InvalidOptionsError } from './errors.js';
+import { urlMatcher } from './network.js';
+import { SCREENSHOT_FORMATS, normalizeScreenshotSpecs } from './screenshots.js';
+
+export const DEFAULT_TIMEOUT = 30000;
+export const DEFAULT_WAIT_FOR = 'networkidle';
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const WAIT_FOR_EVENTS = new Set(['load', 'domcontentloaded', 'networkidle', 'commit']);
+const CONTENT_FORMATS = new Set(['html', 'markdown', 'text', 'all']);
+const BLOCKABLE_RESOURCE_TYPES = new Set(['stylesheet', 'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other']);
+
+/**
+ * Split argv into positional arguments and a map of --name=value / --flag options.
+ *
+ * @param {string[]} argv
+ * @returns {{ positional: string[], options: Map<string, string|true> }}
+ */
+export function parseArgv(argv) {
+    const positional = [];
+    const options = new Map();
+
+    for (const arg of argv) {
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        // Split on the first "=" only, so values like user agents or URLs survive intact
+        const eq = arg.indexOf('=');
+        if (eq === -1) {
+            options.set(arg.slice(2), true);
+        } else {
+            options.set(arg.slice(2, eq), arg.slice(eq + 1));
+        }
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Build raw extraction options from parsed CLI arguments.
+ *
+ * @param {{ positional: string[], options: Map<string, string|true> }} parsed
+ * @returns {object} Raw options, to be passed through normalizeOptions()
+ */
+export function optionsFromArgv({ positional, options }) {
+    const value = (name) => {
+        const v = options.get(name);
+        return typeof v === 'string' ? v : undefined;
+    };
+    // Boolean flags accept both "--name" and "--name=<0|1>"
+    const flag = (name) => (options.get(name) === true ? true : value(name));
+
+    return {
+        url: positional[0],
+        timeout: value('timeout'),
+        waitFor: value('wait-for'),
+        userAgent: value('user-agent'),
+        screenshotPath: value('screenshot-path'),
+        screenshotFullPage: value('screenshot-full-page'),
+        screenshots: value('screenshots'),
+        screenshotDir: value('screenshot-dir'),
+        screenshotFormat: value('screenshot-format'),
+        screenshotQuality: value('screenshot-quality'),
+        screenshotSelector: value('screenshot-selector'),
+        screenshotTileHeight: value('screenshot-tile-height'),
+        screenshotMaxTiles: value('screenshot-max-tiles'),
+        format: value('format'),
+        profile: value('profile'),
+        profilesFile: value('profiles-file'),
+        blockResources: value('block-resources'),
+        blockUrls: value('block-urls'),
+        captureApi: value('capture-api'),
+        apiMaxEntries: value('api-max-entries'),
+        apiMaxBodyBytes: value('api-max-body'),
+        listing: flag('listing'),
+        loadMoreSelector: value('load-more-selector'),
+        listingMaxIterations: value('listing-max-iterations'),
+        listingMaxTimeMs: value('listing-max-time'),
+        consent: flag('consent'),
+        retries: value('retries'),
+        retryDelayMs: value('retry-delay'),
+        imagesDir: value('images-dir'),
+        imagesMax: value('images-max'),
+        trace: value('trace'),
+        har: value('har'),
+        chunkTokens: value('chunk-tokens'),
+        chunkOverlap: value('chunk-overlap'),
+        crossOriginFrames: flag('cross-origin-frames'),
+        // Read into `html` by the CLI ("-" = stdin)
+        htmlFile: value('html-file'),
+        baseUrl: value('base-url'),
+        locale: value('locale'),
+        timezone: value('timezone'),
+        geolocation: value('geolocation'),
+        extraHeaders: value('extra-headers'),
+        proxy: value('proxy'),
+        storageState: value('storage-state'),
+        saveStorageState: value('save-storage-state'),
+        setup: flag('setup'),
+        expand: flag('expand'),
+    };
+}
+
+/**
+ * Validate and fill defaults for a raw options object (from argv or a JSON request).
+ *
+ * @param {object} raw
+ * @returns {{
+ *   url: string,
+ *   timeout: number,
+ *   waitFor: string,
+ *   userAgent: ?string,
+ *   screenshotPath: ?string,
+ *   screenshotFullPage: boolean,
+ *   screenshots: object[],
+ *   screenshotDir: ?string,
+ *   screenshotFormat: ?('png'|'jpeg'|'webp'),
+ *   screenshotQuality: number,
+ *   format: 'html'|'markdown'|'text'|'all',
+ *   profile: ?string,
+ *   profilesFile: ?string,
+ *   blockResources: ?string[],
+ *   blockUrls: string[],
+ *   captureApi: ?string[],
+ *   apiMaxEntries: number,
+ *   apiMaxBodyBytes: number,
+ *   listing: ?boolean,
+ *   loadMoreSelector: ?string,
+ *   listingMaxIterations: ?number,
+ *   listingMaxTimeMs: ?number,
+ *   consent: ?boolean,
+ *   retries: number,
+ *   retryDelayMs: number,
+ *   imagesDir: ?string,
+ *   imagesMax: number,
+ *   trace: ?string,
+ *   har: ?string,
+ *   chunkTokens: ?number,
+ *   chunkOverlap: number,
+ *   crossOriginFrames: boolean,
+ *   html: ?string,
+ *   baseUrl: ?string,
+ *   locale: ?string,
+ *   timezone: ?string,
+ *   geolocation: ?{ latitude: number, longitude: number, accuracy: number },
+ *   extraHeaders: ?Object<string, string>,
+ *   proxy: ?{ server: string, username?: string, password?: string, bypass?: string },
+ *   storageState: ?string,
+ *   saveStorageState: ?string,
+ *   setup: boolean,
+ *   expand: ?boolean,
+ * }}
+ * @throws {InvalidOptionsError} When the URL is missing or an option has an invalid value
+ */
+export function normalizeOptions(raw = {}) {
+    // Offline input (see offline.js): the URL is optional, the page is served at the base URL
+    const html = typeof raw.html === 'string' ? raw.html : null;
+    const baseUrl = raw.baseUrl || null;
+    if (baseUrl !== null && !URL.canParse(baseUrl)) {
+        throw new InvalidOptionsError(`Invalid base URL: ${baseUrl}`);
+    }
+    const url = html !== null ? (baseUrl ?? raw.url ?? 'about:blank') : raw.url;
+
+    if (!url || typeof url !== 'string') {
+        throw new InvalidOptionsError('URL is required');
+    }
+    if (!URL.canParse(url)) {
+        throw new InvalidOptionsError(`Invalid URL: ${url}`);
+    }
+
+    const timeout = parseInt(raw.timeout ?? DEFAULT_TIMEOUT, 10);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        throw new InvalidOptionsError(`Invalid timeout: ${raw.timeout}`);
+    }
+
+    const waitFor = raw.waitFor ?? DEFAULT_WAIT_FOR;
+    if (!WAIT_FOR_EVENTS.has(waitFor)) {
+        throw new InvalidOptionsError(`Invalid wait-for event: ${waitFor}`);
+    }
+
+    const format = raw.format ?? 'html';
+    if (!CONTENT_FORMATS.has(format)) {
+        throw new InvalidOptionsError(`Invalid format: ${format}`);
+    }
+
+    const screenshotFormat = raw.screenshotFormat || null;
+    if (screenshotFormat !== null && !SCREENSHOT_FORMATS.includes(screenshotFormat)) {
+        throw new InvalidOptionsError(`Invalid screenshot format: ${screenshotFormat}`);
+    }
+    const screenshotQuality = toInt(raw.screenshotQuality, 80);
+    const screenshots = normalizeScreenshotSpecs(raw.screenshots, {
+        format: screenshotFormat ?? 'png',
+        quality: screenshotQuality,
+        selector: raw.screenshotSelector || null,
+        tileHeight: toInt(raw.screenshotTileHeight, 4000),
+        maxTiles: toInt(raw.screenshotMaxTiles, 10),
+    });
+    if (screenshots.length > 0 && !raw.screenshotDir) {
+        throw new InvalidOptionsError('--screenshots needs --screenshot-dir');
+    }
+
+    // null = use the profile's block list, [] = block nothing
+    let blockResources = null;
+    if (raw.blockResources !== undefined && raw.blockResources !== null) {
+        blockResources = toList(raw.blockResources).filter(type => type !== 'none');
+        const unknown = blockResources.filter(type => !BLOCKABLE_RESOURCE_TYPES.has(type));
+        if (unknown.length > 0) {
+            throw new InvalidOptionsError(`Invalid resource type: ${unknown.join(', ')}`);
+        }
+    }
+
+    // Setup steps log in / pick a region on the live site
+    const setup = toBool(raw.setup, false);
+    if (setup && (html !== null || url.startsWith('file:'))) {
+        throw new InvalidOptionsError('--setup needs a live page, not offline input');
+    }
+
+    // "/regex/" patterns are compiled now, so a typo fails before the browser starts
+    const blockUrls = toList(raw.blockUrls);
+    const captureApi = raw.captureApi === undefined || raw.captureApi === null
+        ? null
+        : toList(raw.captureApi).filter(pattern => pattern !== 'none');
+    [...blockUrls, ...(captureApi ?? [])].forEach(urlMatcher);
+
+    // null = no chunking; the overlap must leave room for new content in every chunk
+    const chunkTokens = toInt(raw.chunkTokens, null) || null;
+    const chunkOverlap = toInt(raw.chunkOverlap, 0);
+    if (chunkTokens !== null && chunkOverlap >= chunkTokens) {
+        throw new InvalidOptionsError(`Chunk overlap (${chunkOverlap}) must be smaller than chunk tokens (${chunkTokens})`);
+    }
+
+    return {
+        url,
+        timeout,
+        waitFor,
+        // null means "pick the default for the emulated device"
+        userAgent: raw.userAgent || null,
+        screenshotPath: raw.screenshotPath || null,
+        screenshotFullPage: toBool(raw.screenshotFullPage, true),
+        screenshots,
+        screenshotDir: raw.screenshotDir || null,
+        // null = from the --screenshot-path extension (png unless .jpg/.jpeg/.webp)
+        screenshotFormat,
+        screenshotQuality,
+        format,
+        profile: raw.profile || null,
+        profilesFile: raw.profilesFile || null,
+        blockResources,
+        blockUrls,
+        // null = profile patterns only, [] ("none") = capture nothing
+        captureApi,
+        apiMaxEntries: toInt(raw.apiMaxEntries, 20),
+        apiMaxBodyBytes: toInt(raw.apiMaxBodyBytes, 16384),
+        // null = use the profile's "listing" settings
+        listing: raw.listing === undefined || raw.listing === null ? null : toBool(raw.listing, false),
+        loadMoreSelector: raw.loadMoreSelector || null,
+        listingMaxIterations: toInt(raw.listingMaxIterations, null),
+        listingMaxTimeMs: toInt(raw.listingMaxTimeMs, null),
+        // null = use the profile's "consent" setting (on by default)
+        consent: raw.consent === undefined || raw.consent === null ? null : toBool(raw.consent, true),
+        // Only transient failures are retried (see errors.js); the delay doubles per attempt
+        retries: toInt(raw.retries, 0),
+        retryDelayMs: toInt(raw.retryDelayMs, 1000),
+        imagesDir: raw.imagesDir || null,
+        imagesMax: toInt(raw.imagesMax, 5),
+        trace: raw.trace || null,
+        har: raw.har || null,
+        chunkTokens,
+        chunkOverlap,
+        // Same-origin iframes and shadow roots are always inlined; cross-origin frames on request
+        crossOriginFrames: toBool(raw.crossOriginFrames, false),
+        html,
+        baseUrl,
+        // Market pinning (see emulation.js); null = browser default
+        ...normalizeEmulation(raw),
+        // Playwright storage state (cookies + localStorage) loaded into the context / saved after extraction
+        storageState: raw.storageState || null,
+        saveStorageState: raw.saveStorageState || null,
+        setup,
+        // null = use the profile's "expand" setting (on by default)
+        expand: raw.expand === undefined || raw.expand === null ? null : toBool(raw.expand, true),
+    };
+}
+
+/**
+ * Accept a list either as an array or as a comma-separated string.
+ *
+ * @param {string|string[]|undefined|null} value
+ * @returns {string[]}
+ */
+export function toList(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse a non-negative integer option, falling back to the default when absent.
+ *
+ * @param {*} value
+ * @param {number} defaultValue
+ * @returns {number}
+ * @throws {InvalidOptionsError} When the value is not a non-negative integer
+ */
+export function toInt(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new InvalidOptionsError(`Invalid number: ${value}`);
+    }
+    return n;
+}
+
+/**
+ * Interpret 0/1, "0"/"1", true/false and "true"/"false" as booleans.
+ *
+ * @param {*} value
+ * @param {boolean} defaultValue
+ * @returns {boolean}
+ */
+export function toBool(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
@@ -0,0 +1,375 @@
+/**
+ * Functions evaluated inside the page via page.evaluate().
+ *
+ * Playwright serializes these with Function.prototype.toString(), so each one must be
+ * self-contained: no imports, no references to module scope.
+ */
+
+/**
+ * Collect unique absolute URLs from all <a href> elements on the page.
+ *
+ * @returns {string[]}
+ */
+export function collectLinks() {
+    const links = Array.from(document.querySelectorAll('a[href]'));
+    const urls = [];
+    const seen = new Set();
+
+    for (const link of links) {
+        try {
+            const href = link.getAttribute('href');
+            if (!href) continue;
+
+            // Skip javascript:, mailto:, tel:, # anchors
+            if (href.startsWith('javascript:') ||
+                href.startsWith('mailto:') ||
+                href.startsWith('tel:') ||
+                href === '#' ||
+                href.startsWith('#')) {
+                continue;
+            }
+
+            // Resolve relative URLs
+            const absoluteUrl = new URL(href, window.location.href).href;
+
+            // Skip if already seen
+            if (seen.has(absoluteUrl)) continue;
+            seen.add(absoluteUrl);
+
+            urls.push(absoluteUrl);
+        } catch (e) {
+            // Skip invalid URLs
+        }
+    }
+
+    return urls;
+}
+
+/**
+ * Page regions as [name, selector], passed to the collectors below.
+ * Checked in order: a breadcrumb trail is usually inside a <nav>, navs inside a <header>.
+ * Elements outside all of them are in the "body" region.
+ */
+export const PAGE_REGIONS = [
+    ['breadcrumb', '[itemtype*="BreadcrumbList"], [aria-label*="breadcrumb" i], [class*="breadcrumb" i]'],
+    ['nav', 'nav, [role="navigation"]'],
+    ['header', 'header, [role="banner"]'],
+    ['footer', 'footer, [role="contentinfo"]'],
+    ['aside', 'aside, [role="complementary"]'],
+    ['main', 'main, [role="main"], article'],
+];
+
+/**
+ * Describe every <a href> on the page: anchor text, rel tokens and the region it sits in.
+ * Skips the same hrefs as collectLinks(); one entry per link element, in document order.
+ *
+ * @param {Array<[string, string]>} regions PAGE_REGIONS
+ * @returns {Array<{ url: string, text: string, rel: string[], region: string }>}
+ */
+export function collectLinkDetails(regions) {
+    const details = [];
+    for (const link of document.querySelectorAll('a[href]')) {
+        const href = link.getAttribute('href');
+        if (!href || href.startsWith('#') || /^(javascript|mailto|tel):/i.test(href)) continue;
+
+        let url;
+        try {
+            url = new URL(href, window.location.href).href;
+        } catch {
+            continue;
+        }
+
+        const region = regions.find(([, selector]) => link.closest(selector))?.[0] ?? 'body';
+        const text = (link.innerText || link.textContent || '').replace(/\s+/g, ' ').trim()
+            || link.getAttribute('aria-label')
+            || link.getAttribute('title')
+            || link.querySelector('img[alt]')?.getAttribute('alt')
+            || '';
+
+        details.push({
+            url,
+            text: text.trim(),
+            rel: (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+            region,
+        });
+    }
+
+    return details;
+}
+
+/**
+ * Walk document.body and produce a compact content tree with semantic structure.
+ * Keeps important tags (h1-h6, p, a, img, etc.) and useful attributes (alt, title, href).
+ * Drops junk attributes, hidden elements, and non-content elements.
+ *
+ * The tree is rendered to cleaned HTML, Markdown or plain text in Node (see content-render.js),
+ * so every output format comes from the same DOM walk.
+ *
+ * Node shapes:
+ *   "text"                                    Text node (trimmed, never empty)
+ *   { t: 'P', a: [[name, value]], c: [...] }  Semantic element with useful attributes and children
+ *   { t: null, c: [...] }                     Non-semantic element (only its children matter)
+ *   A and IMG nodes also carry `u`: the absolute href/src.
+ *   { t: null, o: {...}, c: [...] }           Content inlined from an open shadow root or an iframe:
+ *     o = { type: 'shadow', host }             host: tag name of the shadow host
+ *     o = { type: 'iframe', src, origin, frame } origin: 'same-origin' (walked here) or 'cross-origin'
+ *                                              (left empty; frame is the data-extractor-frame id the
+ *                                              caller can fill through a Playwright frame, see frames.js)
+ *
+ * @param {{ excludeSelectors?: string[], rootSelector?: ?string, framePrefix?: string }} [config]
+ *   excludeSelectors: elements to skip (from the site profile);
+ *   rootSelector: walk only this element instead of document.body (e.g. the detected main content);
+ *   framePrefix: prefix of the cross-origin frame ids (set when walking inside such a frame)
+ * @returns {{ t: ?string, c: Array }} Node for document.body (or the root element)
+ */
+export function snapshotContent({ excludeSelectors = [], rootSelector = null, framePrefix = '' } = {}) {
+    // Same-origin iframes nested deeper than this are skipped, as are tracking-pixel sized ones
+    const MAX_FRAME_DEPTH = 3;
+    const MIN_FRAME_SIZE = 50;
+
+    // Tags to completely remove (including their content)
+    const REMOVE_TAGS = new Set([
+        'SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG', 'PATH',
+        'TEMPLATE', 'CANVAS', 'AUDIO', 'VIDEO', 'SOURCE', 'TRACK',
+        'EMBED', 'OBJECT', 'PARAM', 'MAP', 'AREA',
+        'HEADER',
+        'FOOTER'  // Footer usually contains navigation/legal info, not main content
+    ]);
+
+    // Tags that carry semantic meaning and should be preserved
+    const SEMANTIC_TAGS = new Set([
+        'H1', 'H2', 'H3', 'H4', 'H5', 'H6',  // Headings - importance
+        'P', 'BLOCKQUOTE', 'PRE', 'CODE',    // Text blocks
+        'A',                                  // Links - href is valuable
+        'IMG',                                // Images - alt is valuable
+        'UL', 'OL', 'LI',                    // Lists
+        'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', // Tables
+        'DL', 'DT', 'DD',                    // Definition lists
+        'STRONG', 'B', 'EM', 'I', 'MARK',    // Emphasis
+        'ARTICLE', 'SECTION', 'MAIN', 'NAV', 'ASIDE',
+        'FIGURE', 'FIGCAPTION',
+        'FORM', 'INPUT', 'BUTTON', 'SELECT', 'OPTION', 'TEXTAREA', 'LABEL',
+        'SPAN', 'DIV',                       // Generic containers (will be unwrapped if empty)
+        'BR', 'HR',
+        'TIME', 'ADDRESS', 'CITE', 'Q',
+        'ABBR', 'DFN', 'SUB', 'SUP',
+        'DETAILS', 'SUMMARY'
+    ]);
+
+    // Attributes worth keeping (provide useful info)
+    const USEFUL_ATTRIBUTES = new Set([
+        'alt',           // Image descriptions
+        'title',         // Tooltips/descriptions
+        'href',          // Links
+        'src',           // Image sources (simplified)
+        'placeholder',   // Form field hints
+        'value',         // Form values
+        'name',          // Form field names
+        'type',          // Input types
+        'datetime',      // Time elements
+        'cite',          // Citation sources
+        'label',         // Option labels
+        'summary',       // Table summaries
+        'scope',         // Table header scope
+        'colspan',       // Table structure
+        'rowspan',       // Table structure
+        'headers',       // Table accessibility
+        'lang',          // Language hints
+        'dir',           // Text direction
+        'aria-label',    // Accessibility labels
+        'aria-describedby',
+        'role'           // Accessibility roles
+    ]);
+
+    // Elements excluded by the site profile (invalid selectors are ignored)
+    const excluded = new Set();
+    for (const selector of excludeSelectors) {
+        try {
+            document.querySelectorAll(selector).forEach(el => excluded.add(el));
+        } catch {
+            // ignore invalid selector
+        }
+    }
+
+    // Helper to check if element is visible (elements of same-origin iframes use their own window)
+    const isVisible = (el) => {
+        if (!el || el.nodeType !== Node.ELEMENT_NODE) return true;
+        const style = (el.ownerDocument.defaultView ?? window).getComputedStyle(el);
+        return style.display !== 'none'
+            && style.visibility !== 'hidden'
+            && style.opacity !== '0';
+    };
+
+    // Relative to the element's own document (iframe content has its own base URL)
+    const absoluteUrl = (value, element) => {
+        try {
+            return new URL(value, element.baseURI || window.location.href).href;
+        } catch {
+            return null;
+        }
+    };
+
+    // Rendered children: the shadow tree of a host, the nodes assigned to a <slot>
+    const childNodesOf = (element) => {
+        if (element.tagName === 'SLOT') {
+            const assigned = element.assignedNodes({ flatten: true });
+            return assigned.length > 0 ? assigned : element.childNodes;
+        }
+        return element.shadowRoot ? element.shadowRoot.childNodes : element.childNodes;
+    };
+
+    // Same-origin frames are walked in place; cross-origin ones become placeholders marked with
+    // data-extractor-frame (kept across walks, so the main-content walk reuses the same ids)
+    let frameDepth = 0;
+    let frameCount = Number(document.documentElement.getAttribute('data-extractor-frames') || 0);
+    const processFrame = (iframe) => {
+        const rect = iframe.getBoundingClientRect();
+        if (rect.width < MIN_FRAME_SIZE || rect.height < MIN_FRAME_SIZE) {
+            return null;
+        }
+
+        const src = iframe.getAttribute('src') ? absoluteUrl(iframe.getAttribute('src'), iframe) : (iframe.srcdoc ? 'about:srcdoc' : 'about:blank');
+        let frameDocument = null;
+        try {
+            frameDocument = iframe.contentDocument;
+        } catch {
+            // cross-origin
+        }
+
+        if (frameDocument) {
+            if (!frameDocument.body || frameDepth >= MAX_FRAME_DEPTH) return null;
+            frameDepth++;
+            const body = processElement(frameDocument.body);
+            frameDepth--;
+            return body ? { t: null, o: { type: 'iframe', src, origin: 'same-origin', frame: null }, c: [body] } : null;
+        }
+
+        let frame = iframe.getAttribute('data-extractor-frame');
+        if (!frame) {
+            frame = `${framePrefix}${frameCount++}`;
+            iframe.setAttribute('data-extractor-frame', frame);
+            document.documentElement.setAttribute('data-extractor-frames', String(frameCount));
+        }
+        return { t: null, o: { type: 'iframe', src, origin: 'cross-origin', frame }, c: [] };
+    };
+
+    // Build the content tree for a DOM node (null = nothing worth keeping)
+    const processElement = (element) => {
+        if (!element || element.nodeType === Node.COMMENT_NODE) {
+            return null;
+        }
+
+        // Text node - keep trimmed text
+        if (element.nodeType === Node.TEXT_NODE) {
+            const text = element.textContent.trim();
+            return text || null;
+        }
+
+        // Not an element node
+        if (element.nodeType !== Node.ELEMENT_NODE) {
+            return null;
+        }
+
+        const tagName = element.tagName;
+
+        // Skip elements excluded by the site profile
+        if (excluded.has(element)) {
+            return null;
+        }
+
+        // Skip removed tags entirely
+        if (REMOVE_TAGS.has(tagName)) {
+            return null;
+        }
+
+        // Skip hidden elements
+        if (!isVisible(element)) {
+            return null;
+        }
+
+        if (tagName === 'IFRAME') {
+            return processFrame(element);
+        }
+
+        // Process children first
+        let children = [];
+        for (const child of childNodesOf(element)) {
+            const node = processElement(child);
+            if (node !== null) {
+                children.push(node);
+            }
+        }
+        if (element.shadowRoot && children.length > 0) {
+            children = [{ t: null, o: { type: 'shadow', host: tagName.toLowerCase() }, c: children }];
+        }
+
+        // Non-semantic tags - just keep child content
+        if (!SEMANTIC_TAGS.has(tagName)) {
+            return children.length > 0 ? { t: null, c: children } : null;
+        }
+
+        // Only useful attributes survive
+        const attrs = [];
+        for (const attr of element.attributes) {
+            const attrName = attr.name.toLowerCase();
+            if (USEFUL_ATTRIBUTES.has(attrName) && attr.value.trim()) {
+                // Simplify src to just show it exists or filename
+                let attrValue = attr.value.trim();
+                if (attrName === 'src') {
+                    // Extract just the filename or indicate external
+                    try {
+                        const urlObj = new URL(attrValue, element.baseURI || window.location.href);
+                        const pathname = urlObj.pathname;
+                        attrValue = pathname.split('/').pop() || '[image]';
+                    } catch {
+                        attrValue = '[image]';
+                    }
+                }
+                attrs.push([attrName, attrValue]);
+            }
+        }
+
+        const node = { t: tagName, a: attrs, c: children };
+        if (tagName === 'A' && element.getAttribute('href')) {
+            node.u = absoluteUrl(element.getAttribute('href'), element);
+        } else if (tagName === 'IMG' && element.getAttribute('src')) {
+            node.u = absoluteUrl(element.getAttribute('src'), element);
+        }
+
+        return node;
+    };
+
+    const root = (rootSelector && document.querySelector(rootSelector)) || document.body;
+    return processElement(root) ?? { t: null, c: [] };
+}
+
+/**
+ * Recognize bot-protection interstitials and captcha walls (Cloudflare, DataDome, PerimeterX,
+ * reCAPTCHA/hCaptcha gates, Akamai/Incapsula denials).
+ *
+ * @returns {?string} What gave the page away, or null for a regular page
+ */
+export function detectBlockPage() {
+    const SELECTORS = [
+        ['#challenge-form, #challenge-running, #cf-challenge-running, .cf-browser-verification', 'cloudflare challenge'],
+        ['iframe[src*="captcha-delivery.com"], script[src*="captcha-delivery.com"]', 'datadome captcha'],
+        ['#px-captcha', 'perimeterx captcha'],
+        ['iframe[src*="_Incapsula_Resource"]', 'incapsula'],
+    ];
+    const TITLES = /^(just a moment\.*|attention required!? \| cloudflare|access denied|pardon our interruption|are you a robot\??|один момент\.*|доступ (запрещ[её]н|ограничен)|доступ заборонено)$/i;
+
+    for (const [selector, reason] of SELECTORS) {
+        if (document.querySelector(selector)) return reason;
+    }
+
+    const title = document.title.trim();
+    if (TITLES.test(title)) return `title: ${title}`;
+
+    // A captcha widget on an otherwise near-empty page is a gate, not a form on a product page
+    const text = (document.body?.innerText || '').trim();
+    if (text.length < 1000 && document.querySelector('.g-recaptcha, .h-captcha, iframe[src*="recaptcha"], iframe[src*="hcaptcha"]')) {
+        return 'captcha';
+    }
+
+    return null;
+}
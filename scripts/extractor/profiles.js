@@ -0,0 +1,346 @@
+/**
+ * Per-site interaction profiles: which elements to click, remove, wait for and scroll to.
+ *
+ * Profiles live in a JSON file (default: profiles.json next to this module):
+ *
+ *   {
+ *     "profiles": {
+ *       "shop-ua": {
+ *         "hosts": ["shop.ua", "*.shop.ua"],             // exact host or any subdomain
+ *         "urlPatterns": ["^https://shop\\.ua/product/"], // regular expressions on the full URL
+ *         "extends": "default",                          // inherit another profile's selectors/steps
+ *         "excludeSelectors": [".recommendations"],      // skipped by the content walker
+ *         "mainContentSelector": ".product-page",        // main content root; skips detection (see main-content.js)
+ *         "blockResourceTypes": ["image", "font"],       // request types to abort (see network.js)
+ *         "blockUrlPatterns": ["tracker.example"],       // URL substrings or "/regex/" to abort
+ *         "captureApiUrlPatterns": ["/api/product"],     // XHR/fetch responses to record (see api-capture.js)
+ *         "captureApiContentTypes": ["application/json"],
+ *         "listing": {                                   // listing mode (see listing.js)
+ *           "enabled": true, "loadMoreSelector": ".show-more", "scroll": true,
+ *           "maxIterations": 20, "maxTimeMs": 30000, "settleMs": 1500
+ *         },
+ *         "consent": true,                               // dismiss cookie/consent banners (see consent.js)
+ *         "expand": true,                                // open details/accordions/tabs before extraction (see expand.js)
+ *         "consentRules": [                              // site-specific CMP rules, tried before the built-in ones
+ *           { "name": "shop-ua", "detect": ".cookie-bar", "accept": [".cookie-bar .btn-ok"] }
+ *         ],
+ *         "steps": [ ... ],                              // run after navigation, before extraction
+ *         "screenshotSteps": [ ... ],                    // run right before the screenshot
+ *         "setupUrl": "/login",                          // opened for the setup steps (default: the page URL)
+ *         "setupSteps": [ ... ]                          // with --setup: log in / choose a city before navigating
+ *       }
+ *     }
+ *   }
+ *
+ * Step actions:
+ *   { "action": "click", "selector": "a" | ["a", "b"], "optional": true, "timeout": 1500, "settleMs": 200 }
+ *   { "action": "remove", "selector": "header, footer" }
+ *   { "action": "waitFor", "selector": ".price", "state": "visible", "timeout": 5000, "optional": true }
+ *   { "action": "scrollTo", "selector": ".reviews" }  or  { "action": "scrollTo", "to": "bottom" }
+ *   { "action": "wait", "ms": 500 }
+ *   { "action": "fill", "selector": "#login", "value": "buyer" }  or  { ..., "valueEnv": "SHOP_PASSWORD" }
+ *   { "action": "press", "selector": "#password", "key": "Enter" }  (no selector: the focused element)
+ *   { "action": "goto", "url": "/account", "waitUntil": "load" }   (relative to the current page)
+ *
+ * Setup steps produce session state (cookies, localStorage) once: run with --setup and
+ * --save-storage-state=<path>, then reuse it for a whole crawl with --storage-state=<path>.
+ */
+
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { InvalidOptionsError } from './errors.js';
+import { urlMatcher } from './network.js';
+
+export const DEFAULT_PROFILES_FILE = fileURLToPath(new URL('./profiles.json', import.meta.url));
+export const DEFAULT_PROFILE = 'default';
+
+const STEP_TIMEOUT = 5000;
+
+// Profile fields that are lists; "extends" concatenates them, parent first
+const LIST_FIELDS = [
+    'excludeSelectors',
+    'blockResourceTypes',
+    'blockUrlPatterns',
+    'captureApiUrlPatterns',
+    'captureApiContentTypes',
+    'consentRules',
+    'steps',
+    'screenshotSteps',
+    'setupSteps',
+];
+
+/**
+ * Load the profiles map from a JSON file.
+ *
+ * @param {?string} file Path to the profiles file (null = bundled profiles.json)
+ * @returns {Promise<Object<string, object>>}
+ * @throws {InvalidOptionsError} When a --profiles-file cannot be read or parsed, or a profile has an invalid regex
+ */
+export async function loadProfiles(file) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(file || DEFAULT_PROFILES_FILE, 'utf8'));
+    } catch (e) {
+        if (!file) throw e;
+        throw new InvalidOptionsError(`Cannot load profiles from ${file}: ${e.message}`, { cause: e });
+    }
+
+    const profiles = data.profiles ?? {};
+    for (const [name, profile] of Object.entries(profiles)) {
+        validatePatterns(name, profile);
+    }
+    return profiles;
+}
+
+/**
+ * Pick the profile for a URL.
+ * Precedence: explicit name, then URL pattern, then host, then "default".
+ *
+ * @param {Object<string, object>} profiles
+ * @param {string} url
+ * @param {?string} name Explicit profile name (--profile)
+ * @returns {{ name: ?string, matchedBy: string, profile: object }}
+ * @throws {InvalidOptionsError} When an explicitly requested profile does not exist, or a urlPatterns regex is invalid
+ */
+export function selectProfile(profiles, url, name = null) {
+    if (name) {
+        if (!profiles[name]) {
+            throw new InvalidOptionsError(`Unknown profile: ${name}`);
+        }
+        return { name, matchedBy: 'option', profile: resolveProfile(profiles, name) };
+    }
+
+    for (const [candidate, profile] of Object.entries(profiles)) {
+        if (urlPatternsOf(candidate, profile).some(pattern => pattern.test(url))) {
+            return { name: candidate, matchedBy: 'urlPattern', profile: resolveProfile(profiles, candidate) };
+        }
+    }
+
+    let host = '';
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        // Non-URL input: only the default profile can apply
+    }
+    for (const [candidate, profile] of Object.entries(profiles)) {
+        if ((profile.hosts ?? []).some(pattern => hostMatches(host, pattern))) {
+            return { name: candidate, matchedBy: 'host', profile: resolveProfile(profiles, candidate) };
+        }
+    }
+
+    if (profiles[DEFAULT_PROFILE]) {
+        return { name: DEFAULT_PROFILE, matchedBy: 'default', profile: resolveProfile(profiles, DEFAULT_PROFILE) };
+    }
+
+    return { name: null, matchedBy: 'none', profile: resolveProfile({}, null) };
+}
+
+/**
+ * Flatten "extends" chains: list fields of the parent come first.
+ *
+ * @param {Object<string, object>} profiles
+ * @param {?string} name
+ * @param {Set<string>} [seen] Guards against cycles
+ * @returns {object} Profile with every list field present
+ */
+export function resolveProfile(profiles, name, seen = new Set()) {
+    const profile = name ? profiles[name] : null;
+    if (!profile || seen.has(name)) {
+        return Object.fromEntries(LIST_FIELDS.map(field => [field, []]));
+    }
+    seen.add(name);
+
+    const parent = resolveProfile(profiles, profile.extends ?? null, seen);
+    const resolved = { ...parent, ...profile };
+    for (const field of LIST_FIELDS) {
+        resolved[field] = [...parent[field], ...(profile[field] ?? [])];
+    }
+    return resolved;
+}
+
+/**
+ * Run profile steps in order. A failing step is reported and never stops the extraction.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object[]} steps
+ * @param {string} phase "setup" | "load" | "screenshot" | "screenshot:<device>" (copied into the report)
+ * @returns {Promise<Array<{ phase: string, action: string, selector: ?(string|string[]), status: 'ok'|'skipped'|'failed', error: ?string, durationMs: number }>>}
+ */
+export async function runSteps(page, steps, phase) {
+    const reports = [];
+
+    for (const step of steps) {
+        const startTime = Date.now();
+        let status = 'ok';
+        let error = null;
+
+        try {
+            status = await runStep(page, step);
+        } catch (e) {
+            status = 'failed';
+            error = e?.message || String(e);
+        }
+
+        reports.push({
+            phase,
+            action: step.action,
+            selector: step.selector ?? null,
+            status,
+            error,
+            durationMs: Date.now() - startTime,
+        });
+    }
+
+    return reports;
+}
+
+/**
+ * @returns {Promise<'ok'|'skipped'>}
+ * @throws {Error} When the step failed
+ */
+async function runStep(page, step) {
+    const timeout = step.timeout ?? STEP_TIMEOUT;
+
+    switch (step.action) {
+        case 'click': {
+            // Try selectors in order until one is present and clickable
+            const selectors = [].concat(step.selector);
+            let lastError = null;
+
+            for (const selector of selectors) {
+                const locator = page.locator(selector).first();
+                if (await locator.count() === 0) continue;
+
+                try {
+                    await locator.scrollIntoViewIfNeeded({ timeout: 1000 });
+                } catch {
+                    // ignore scroll errors
+                }
+
+                try {
+                    await locator.click({ timeout });
+                    // Give the UI a moment to expand/animate after the click.
+                    if (step.settleMs) {
+                        await page.waitForTimeout(step.settleMs);
+                    }
+                    return 'ok';
+                } catch (e) {
+                    lastError = e;
+                }
+            }
+
+            if (lastError) throw lastError;
+            if (step.optional) return 'skipped';
+            throw new Error(`No element matches ${selectors.join(', ')}`);
+        }
+
+        case 'remove': {
+            const removed = await page.evaluate((selector) => {
+                const elements = document.querySelectorAll(selector);
+                elements.forEach(el => el.remove());
+                return elements.length;
+            }, step.selector);
+            return removed > 0 || !step.optional ? 'ok' : 'skipped';
+        }
+
+        case 'waitFor':
+            try {
+                await page.locator(step.selector).first().waitFor({ state: step.state ?? 'visible', timeout });
+                return 'ok';
+            } catch (e) {
+                if (step.optional) return 'skipped';
+                throw e;
+            }
+
+        case 'scrollTo':
+            if (step.to === 'bottom') {
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+                return 'ok';
+            }
+            if (await page.locator(step.selector).count() === 0) {
+                if (step.optional) return 'skipped';
+                throw new Error(`No element matches ${step.selector}`);
+            }
+            await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+            return 'ok';
+
+        case 'wait':
+            await page.waitForTimeout(step.ms ?? 0);
+            return 'ok';
+
+        case 'fill': {
+            // Secrets come from the environment ("valueEnv"), not from the profiles file
+            const value = step.valueEnv ? process.env[step.valueEnv] : step.value;
+            if (value === undefined || value === null) {
+                throw new Error(step.valueEnv ? `Environment variable ${step.valueEnv} is not set` : 'Fill step needs a value');
+            }
+            const locator = page.locator(step.selector).first();
+            if (await locator.count() === 0) {
+                if (step.optional) return 'skipped';
+                throw new Error(`No element matches ${step.selector}`);
+            }
+            await locator.fill(String(value), { timeout });
+            return 'ok';
+        }
+
+        case 'press':
+            if (step.selector) {
+                await page.locator(step.selector).first().press(step.key, { timeout });
+            } else {
+                await page.keyboard.press(step.key);
+            }
+            return 'ok';
+
+        case 'goto':
+            await page.goto(new URL(step.url, page.url()).href, {
+                waitUntil: step.waitUntil ?? 'load',
+                timeout: step.timeout ?? 30000,
+            });
+            return 'ok';
+
+        default:
+            throw new Error(`Unknown step action: ${step.action}`);
+    }
+}
+
+/**
+ * @throws {InvalidOptionsError} When a pattern is not a valid regular expression
+ */
+function urlPatternsOf(name, profile) {
+    return (profile.urlPatterns ?? []).map((pattern) => {
+        try {
+            return new RegExp(pattern);
+        } catch (e) {
+            throw new InvalidOptionsError(`Invalid urlPatterns entry in profile ${name}: ${pattern} (${e.message})`, { cause: e });
+        }
+    });
+}
+
+/**
+ * Compile every regex of a profile once, so a typo fails the run before the browser starts.
+ *
+ * @throws {InvalidOptionsError} Naming the profile and the pattern
+ */
+function validatePatterns(name, profile) {
+    urlPatternsOf(name, profile);
+    for (const field of ['blockUrlPatterns', 'captureApiUrlPatterns']) {
+        for (const pattern of profile[field] ?? []) {
+            try {
+                urlMatcher(pattern);
+            } catch (e) {
+                throw new InvalidOptionsError(`Invalid ${field} entry in profile ${name}: ${pattern} (${e.cause?.message ?? e.message})`, { cause: e });
+            }
+        }
+    }
+}
+
+function hostMatches(host, pattern) {
+    const p = String(pattern).toLowerCase();
+    const bare = host.replace(/^www\./, '');
+
+    if (p.startsWith('*.')) {
+        const apex = p.slice(2);
+        return bare === apex || bare.endsWith(`.${apex}`);
+    }
+    return bare === p.replace(/^www\./, '');
+}
@@ -0,0 +1,294 @@
+/**
+ * Screenshot captures requested with --screenshots: several devices and modes in one run.
+ *
+ *   fullPage  The whole page (optionally clipped to maxHeight)
+ *   viewport  Only what is visible in the viewport
+ *   element   One element, e.g. the product card (selector)
+ *   tiles     The whole page split into images of at most tileHeight CSS pixels
+ *
+ * PNG and JPEG come straight from Playwright; WebP is re-encoded from PNG by the browser's canvas.
+ * Every file is reported as an artifact with its pixel dimensions.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { InvalidOptionsError } from './errors.js';
+
+export const SCREENSHOT_DEVICES = ['desktop', 'mobile'];
+export const SCREENSHOT_MODES = ['fullPage', 'viewport', 'element', 'tiles'];
+export const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+const FILE_EXTENSIONS = { png: 'png', jpeg: 'jpg', webp: 'webp' };
+
+/**
+ * Parse and validate capture specs.
+ *
+ * Accepts a JSON array of specs or a comma-separated "device:mode" shorthand
+ * (e.g. "desktop:viewport,mobile:tiles").
+ *
+ * @param {string|object[]|undefined|null} value
+ * @param {{ format: string, quality: number, selector: ?string, tileHeight: number, maxTiles: number }} defaults
+ * @returns {Array<{ index: number, name: string, device: string, mode: string, selector: ?string, maxHeight: ?number, tileHeight: number, maxTiles: number, format: string, quality: number }>}
+ * @throws {InvalidOptionsError} On unknown devices/modes/formats or a missing element selector
+ */
+export function normalizeScreenshotSpecs(value, defaults) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    let specs = value;
+    if (typeof value === 'string') {
+        specs = value.trim().startsWith('[')
+            ? parseSpecs(value)
+            : value.split(',').map(token => token.trim()).filter(Boolean).map((token) => {
+                const [device, mode] = token.split(':');
+                return { device, mode };
+            });
+    }
+    if (!Array.isArray(specs)) {
+        throw new InvalidOptionsError('Screenshots must be a list of capture specs');
+    }
+
+    return specs.map((spec, position) => {
+        const device = spec.device ?? 'desktop';
+        const mode = spec.mode ?? 'fullPage';
+        const format = spec.format ?? defaults.format;
+        const selector = spec.selector ?? (mode === 'element' ? defaults.selector : null);
+
+        if (!SCREENSHOT_DEVICES.includes(device)) {
+            throw new InvalidOptionsError(`Invalid screenshot device: ${device}`);
+        }
+        if (!SCREENSHOT_MODES.includes(mode)) {
+            throw new InvalidOptionsError(`Invalid screenshot mode: ${mode}`);
+        }
+        if (!SCREENSHOT_FORMATS.includes(format)) {
+            throw new InvalidOptionsError(`Invalid screenshot format: ${format}`);
+        }
+        if (mode === 'element' && !selector) {
+            throw new InvalidOptionsError('Element screenshots need a selector');
+        }
+
+        return {
+            // Numbers the files in request order, whichever page captures them
+            index: position + 1,
+            name: String(spec.name ?? `${device}-${mode}`).replace(/[^\w.-]+/g, '-'),
+            device,
+            mode,
+            selector,
+            maxHeight: positive(spec.maxHeight, null),
+            tileHeight: positive(spec.tileHeight, defaults.tileHeight),
+            maxTiles: positive(spec.maxTiles, defaults.maxTiles),
+            format,
+            quality: Math.min(100, Math.max(0, positive(spec.quality, defaults.quality))),
+        };
+    });
+}
+
+/**
+ * Run every capture on a prepared page. Failures are reported per artifact.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object[]} specs Normalized specs (all for this page's device)
+ * @param {string} dir Output directory
+ * @returns {Promise<object[]>} Artifacts
+ */
+export async function captureScreenshots(page, specs, dir) {
+    await fs.mkdir(dir, { recursive: true });
+    const artifacts = [];
+
+    for (const spec of specs) {
+        const base = path.join(dir, `${String(spec.index).padStart(2, '0')}-${spec.name}`);
+        try {
+            artifacts.push(...await capture(page, spec, base));
+        } catch (e) {
+            artifacts.push(artifact(spec, { error: e?.message || String(e) }));
+        }
+    }
+
+    return artifacts;
+}
+
+/**
+ * Artifacts for specs that could not be captured at all (e.g. the device page failed to load).
+ *
+ * @param {object[]} specs
+ * @param {string} error
+ * @returns {object[]}
+ */
+export function failedScreenshots(specs, error) {
+    return specs.map(spec => artifact(spec, { error }));
+}
+
+/**
+ * Save one screenshot in the requested format and describe it.
+ *
+ * @param {import('playwright').Page} page
+ * @param {(screenshotOptions: object) => Promise<Buffer>} shoot page.screenshot or locator.screenshot
+ * @param {{ format: string, quality: number }} spec
+ * @param {string} file
+ * @returns {Promise<{ path: string, format: string, width: ?number, height: ?number, bytes: number }>}
+ */
+export async function saveScreenshot(page, shoot, { format, quality }, file) {
+    let buffer;
+    let size;
+
+    if (format === 'webp') {
+        const encoded = await encodeWebp(page, await shoot({ type: 'png' }), quality);
+        buffer = encoded.buffer;
+        size = { width: encoded.width, height: encoded.height };
+    } else {
+        buffer = await shoot(format === 'jpeg' ? { type: 'jpeg', quality } : { type: 'png' });
+        size = imageSize(buffer);
+    }
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    return { path: file, format, width: size.width, height: size.height, bytes: buffer.length };
+}
+
+/**
+ * @returns {Promise<object[]>} One artifact, or one per tile
+ */
+async function capture(page, spec, base) {
+    const file = suffix => `${base}${suffix}.${FILE_EXTENSIONS[spec.format]}`;
+
+    switch (spec.mode) {
+        case 'viewport':
+            return [artifact(spec, await saveScreenshot(page, options => page.screenshot(options), spec, file('')))];
+
+        case 'element': {
+            const locator = page.locator(spec.selector).first();
+            if (await locator.count() === 0) {
+                throw new Error(`No element matches ${spec.selector}`);
+            }
+            await locator.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+            return [artifact(spec, await saveScreenshot(page, options => locator.screenshot(options), spec, file('')))];
+        }
+
+        case 'tiles': {
+            const { width, height } = await pageSize(page);
+            const count = Math.min(spec.maxTiles, Math.ceil(height / spec.tileHeight));
+            const tiles = [];
+
+            for (let tile = 0; tile < count; tile++) {
+                const y = tile * spec.tileHeight;
+                const clip = { x: 0, y, width, height: Math.min(spec.tileHeight, height - y) };
+                const saved = await saveScreenshot(page, options => page.screenshot({ ...options, fullPage: true, clip }), spec, file(`-${tile + 1}`));
+                tiles.push(artifact(spec, {
+                    ...saved,
+                    tile: { index: tile, count, y, truncated: count * spec.tileHeight < height },
+                }));
+            }
+            return tiles;
+        }
+
+        default: {
+            // fullPage, optionally cut at maxHeight
+            let clip;
+            if (spec.maxHeight) {
+                const { width, height } = await pageSize(page);
+                clip = height > spec.maxHeight ? { x: 0, y: 0, width, height: spec.maxHeight } : undefined;
+            }
+            const shoot = options => page.screenshot({ ...options, fullPage: true, ...(clip ? { clip } : {}) });
+            return [artifact(spec, await saveScreenshot(page, shoot, spec, file('')))];
+        }
+    }
+}
+
+function artifact(spec, fields) {
+    return {
+        name: spec.name,
+        device: spec.device,
+        mode: spec.mode,
+        selector: spec.selector,
+        path: null,
+        format: spec.format,
+        width: null,
+        height: null,
+        bytes: null,
+        tile: null,
+        error: null,
+        ...fields,
+    };
+}
+
+async function pageSize(page) {
+    return page.evaluate(() => ({
+        width: document.documentElement.clientWidth || window.innerWidth,
+        height: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight ?? 0),
+    }));
+}
+
+/**
+ * Re-encode a PNG as WebP on a blank page of the same context (the site's CSP can't interfere).
+ *
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>}
+ */
+async function encodeWebp(page, png, quality) {
+    const blank = await page.context().newPage();
+    try {
+        const result = await blank.evaluate(async ({ data, quality }) => {
+            const image = new Image();
+            image.src = `data:image/png;base64,${data}`;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+
+            const url = canvas.toDataURL('image/webp', quality / 100);
+            if (!url.startsWith('data:image/webp')) {
+                throw new Error('WebP encoding failed (image too large for a canvas?)');
+            }
+            return { data: url.slice(url.indexOf(',') + 1), width: canvas.width, height: canvas.height };
+        }, { data: png.toString('base64'), quality });
+
+        return { buffer: Buffer.from(result.data, 'base64'), width: result.width, height: result.height };
+    } finally {
+        await blank.close().catch(() => {});
+    }
+}
+
+/**
+ * Pixel size of a PNG or JPEG buffer.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ width: ?number, height: ?number }}
+ */
+export function imageSize(buffer) {
+    // PNG: IHDR chunk right after the 8-byte signature
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments up to the first start-of-frame marker
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) break;
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return { width: null, height: null };
+}
+
+function parseSpecs(json) {
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        throw new InvalidOptionsError(`Screenshots are not valid JSON: ${e.message}`, { cause: e });
+    }
+}
+
+function positive(value, defaultValue) {
+    const n = Number(value);
+    return value !== undefined && value !== null && Number.isFinite(n) && n > 0 ? Math.round(n) : defaultValue;
+}
@@ -0,0 +1,131 @@
+/**
+ * SEO / indexing metadata: canonical URL, meta robots (+ X-Robots-Tag), hreflang alternates,
+ * rel=next/prev pagination, the final URL and the redirect chain that led to it.
+ *
+ * URLs are resolved against the document base, so consumers can compare them directly
+ * (e.g. dedupe pages by canonical URL).
+ */
+
+// Robots directives that take a value ("max-snippet: 50"), as opposed to a bot scope ("googlebot: noindex")
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+/**
+ * Collect the raw tags (evaluated in the page).
+ *
+ * @returns {{
+ *   canonical: ?string,
+ *   robots: Array<{ name: string, content: string }>,
+ *   hreflang: Array<{ lang: string, url: string }>,
+ *   next: ?string,
+ *   prev: ?string,
+ * }}
+ */
+export function collectSeoTags() {
+    const absolute = (href) => {
+        if (!href || !href.trim()) return null;
+        try {
+            return new URL(href.trim(), document.baseURI).href;
+        } catch {
+            return null;
+        }
+    };
+    // rel is a space-separated token list ("alternate canonical" is rare but valid)
+    const linkHref = rel => absolute(document.querySelector(`link[rel~="${rel}" i][href]`)?.getAttribute('href'));
+
+    const robots = [...document.querySelectorAll('meta[name][content]')]
+        .filter(meta => /^(robots|googlebot|yandex|bingbot)$/i.test(meta.getAttribute('name')))
+        .map(meta => ({ name: meta.getAttribute('name').toLowerCase(), content: meta.getAttribute('content') }));
+
+    const hreflang = [];
+    for (const link of document.querySelectorAll('link[rel~="alternate" i][hreflang][href]')) {
+        const url = absolute(link.getAttribute('href'));
+        if (url) {
+            hreflang.push({ lang: link.getAttribute('hreflang').trim(), url });
+        }
+    }
+
+    return {
+        canonical: linkHref('canonical'),
+        robots,
+        hreflang,
+        // Pagination links may also be plain <a rel="next">
+        next: linkHref('next') ?? absolute(document.querySelector('a[rel~="next" i][href]')?.getAttribute('href')),
+        prev: linkHref('prev') ?? linkHref('previous')
+            ?? absolute(document.querySelector('a[rel~="prev" i][href]')?.getAttribute('href')),
+    };
+}
+
+/**
+ * Follow the navigation response back through its redirects.
+ *
+ * @param {?import('playwright').Response} response Response returned by page.goto()
+ * @returns {Promise<Array<{ url: string, status: ?number, location: ?string }>>} Oldest hop first
+ */
+export async function redirectChain(response) {
+    const chain = [];
+    for (let request = response?.request().redirectedFrom(); request; request = request.redirectedFrom()) {
+        const redirect = await request.response().catch(() => null);
+        chain.unshift({
+            url: request.url(),
+            status: redirect?.status() ?? null,
+            location: redirect?.headers().location ?? null,
+        });
+    }
+    return chain;
+}
+
+/**
+ * Build the `seo` output section.
+ *
+ * @param {ReturnType<typeof collectSeoTags>} tags
+ * @param {{ requestedUrl: string, finalUrl: string, redirects: object[], robotsHeader: ?string }} navigation
+ * @returns {object}
+ */
+export function normalizeSeo(tags, { requestedUrl, finalUrl, redirects, robotsHeader }) {
+    const sources = [...tags.robots];
+    // Repeated headers arrive joined with newlines
+    for (const line of (robotsHeader ?? '').split('\n')) {
+        if (line.trim()) {
+            sources.push({ name: 'x-robots-tag', content: line.trim() });
+        }
+    }
+
+    // Only directives aimed at all crawlers count towards index/follow
+    const directives = [];
+    for (const source of sources) {
+        if (source.name !== 'robots' && source.name !== 'x-robots-tag') continue;
+        // X-Robots-Tag may be scoped to one bot ("googlebot: noindex"); "max-snippet:" etc. are directives
+        const scope = source.name === 'x-robots-tag' ? source.content.match(/^\s*([\w-]+)\s*:/)?.[1].toLowerCase() : undefined;
+        if (scope && !VALUED_DIRECTIVES.includes(scope)) continue;
+
+        for (const directive of source.content.toLowerCase().split(',')) {
+            const value = directive.trim();
+            if (value && !directives.includes(value)) {
+                directives.push(value);
+            }
+        }
+    }
+    const has = directive => directives.includes(directive) || directives.includes('none');
+
+    return {
+        requestedUrl,
+        finalUrl,
+        redirected: redirects.length > 0 || stripHash(requestedUrl) !== stripHash(finalUrl),
+        redirectChain: redirects,
+        canonical: tags.canonical,
+        canonicalIsSelf: tags.canonical === null ? null : stripHash(tags.canonical) === stripHash(finalUrl),
+        robots: {
+            index: !has('noindex'),
+            follow: !has('nofollow'),
+            directives,
+            sources,
+        },
+        hreflang: tags.hreflang,
+        next: tags.next,
+        prev: tags.prev,
+    };
+}
+
+function stripHash(url) {
+    return url.split('#')[0];
+}
@@ -0,0 +1,109 @@
+/**
+ * Local HTTP protocol for the long-lived extractor daemon.
+ *
+ *   GET  /health    Engine status (browser, pool, counters)
+ *   POST /extract   Body: extraction options as JSON ({"url": "...", "timeout": 30000, ...};
+ *                   {"html": "...", "baseUrl": "..."} extracts stored HTML, see offline.js)
+ *                   200 with the extraction result, 400 for invalid options,
+ *                   500 with {url, error, errorType, errorCode, ...} when extraction failed
+ *   POST /shutdown  Stop accepting requests, close the browser and exit
+ */
+
+import http from 'node:http';
+import { InvalidOptionsError, serializeError } from './errors.js';
+
+// Requests with stored HTML ("html") carry whole pages
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+
+/**
+ * @param {import('./engine.js').ExtractorEngine} engine
+ * @param {{ onShutdown: () => void }} hooks
+ * @returns {http.Server}
+ */
+export function createExtractorServer(engine, { onShutdown }) {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'GET' && pathname === '/health') {
+                return sendJson(res, 200, engine.health());
+            }
+
+            if (req.method === 'POST' && pathname === '/shutdown') {
+                sendJson(res, 202, { status: 'shutting-down' });
+                onShutdown();
+                return;
+            }
+
+            if (req.method === 'POST' && pathname === '/extract') {
+                let options;
+                try {
+                    options = parseJson(await readBody(req));
+                } catch (e) {
+                    return sendJson(res, 400, serializeError(e, null));
+                }
+
+                try {
+                    return sendJson(res, 200, await engine.extract(options));
+                } catch (e) {
+                    const body = serializeError(e, options?.url);
+                    return sendJson(res, body.errorCode === 'INVALID_OPTIONS' ? 400 : 500, body);
+                }
+            }
+
+            sendJson(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+        } catch (e) {
+            sendJson(res, 500, serializeError(e, null));
+        }
+    });
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ * @throws {InvalidOptionsError} When the body exceeds MAX_BODY_BYTES
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new InvalidOptionsError('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {string} body
+ * @returns {object} Raw extraction options
+ * @throws {InvalidOptionsError} When the body is not a JSON object
+ */
+function parseJson(body) {
+    let options;
+    try {
+        options = JSON.parse(body);
+    } catch (e) {
+        throw new InvalidOptionsError(`Invalid JSON body: ${e.message}`, { cause: e });
+    }
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new InvalidOptionsError('Request body must be a JSON object of extraction options');
+    }
+    return options;
+}
+
+function sendJson(res, statusCode, body) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
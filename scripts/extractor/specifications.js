@@ -0,0 +1,208 @@
+/**
+ * Product specifications ("characteristics") as ordered key/value rows.
+ *
+ * Sources, in document order:
+ *   table  Two-column tables (name | value); single-cell rows start a group
+ *   dl     <dt>/<dd> lists, including <div> row wrappers
+ *   grid   Repeated rows of label + value elements, or "Label: value" list items
+ *
+ * Values that are a number followed by a known unit ("1.5 kg", "8 ГБ") are split into value and
+ * unit; a unit in the name ("Вес, кг" / "Weight (kg)") is moved to the unit field.
+ */
+
+// Lowercase; compared case-insensitively after trimming a trailing dot
+const UNITS = new Set([
+    'mm', 'cm', 'm', 'km', 'in', 'inch', 'inches', '"', '″', 'ft',
+    'mg', 'g', 'kg', 't', 'lb', 'lbs', 'oz', 'ml', 'l',
+    'w', 'kw', 'v', 'a', 'ma', 'mah', 'wh', 'ah', 'hz', 'khz', 'mhz', 'ghz',
+    'b', 'kb', 'mb', 'gb', 'tb', 'kbps', 'mbps', 'gbps', 'mbit/s', 'gbit/s',
+    'px', 'dpi', 'ppi', 'mp', 'nits', 'cd/m²', 'lm', 'k', 'db', 'rpm', 'pa', 'kpa', 'bar',
+    '°', '°c', '°f', '%', 'ms', 's', 'sec', 'min', 'h', 'hours', 'days', 'months', 'years', 'pcs',
+    'мм', 'см', 'м', 'км', 'дюйм', 'дюйма', 'дюймов', 'мг', 'г', 'гр', 'кг', 'т', 'мл', 'л',
+    'вт', 'квт', 'в', 'а', 'ма', 'мач', 'ма·ч', 'ма*ч', 'а·ч', 'ач', 'вт·ч', 'гц', 'кгц', 'мгц', 'ггц',
+    'б', 'кб', 'мб', 'гб', 'тб', 'мбит/с', 'гбит/с', 'пикс', 'мп', 'кд/м²', 'лм', 'дб', 'об/мин', 'па', 'бар',
+    'с', 'сек', 'мин', 'ч', 'год', 'года', 'лет', 'мес', 'міс', 'рік', 'роки', 'років', 'шт', 'дн', 'днів', 'дней',
+]);
+
+/**
+ * Collect raw specification rows (evaluated in the page).
+ * Hidden rows are kept: specs often sit in an inactive tab.
+ *
+ * @returns {Array<{ group: ?string, name: string, value: string, source: 'table'|'dl'|'grid' }>}
+ */
+export function collectSpecifications() {
+    const SKIP = 'header, footer, nav, [role="navigation"], script, style, template, noscript';
+    const HEADING = 'h1, h2, h3, h4, h5, h6, caption, legend, [class*="title" i], [class*="heading" i]';
+    const MAX_NAME_LENGTH = 80;
+    const MAX_VALUE_LENGTH = 500;
+    const LABEL_VALUE = /^([^:\n]{1,80}?)\s*:\s+(\S[\s\S]*)$/;
+
+    const textOf = el => (el?.textContent ?? '').replace(/\s+/g, ' ').trim();
+    const cleanName = name => name.replace(/\s*:$/, '').trim();
+    const plausible = (name, value) => name.length > 0 && name.length <= MAX_NAME_LENGTH
+        && value.length > 0 && value.length <= MAX_VALUE_LENGTH && !/^\d+([.,]\d+)?$/.test(name);
+
+    // Title of the block: caption, or a short heading right before the block (or before a wrapper)
+    const groupFor = (el) => {
+        const caption = el.tagName === 'TABLE' ? textOf(el.querySelector('caption')) : '';
+        if (caption) return caption;
+        for (let node = el, depth = 0; node && node !== document.body && depth < 3; node = node.parentElement, depth++) {
+            let sibling = node.previousElementSibling;
+            for (let hops = 0; sibling && hops < 2; sibling = sibling.previousElementSibling, hops++) {
+                const heading = sibling.matches(HEADING) ? sibling : null;
+                const text = textOf(heading);
+                if (text && text.length <= MAX_NAME_LENGTH) return cleanName(text);
+                if (textOf(sibling)) break;
+            }
+        }
+        return null;
+    };
+
+    // Accepted tables/lists/grids and their ancestors, so grids never overlap them (a set lookup per
+    // ancestor instead of checking every container against every accepted block)
+    const covered = new Set();
+    const enclosing = new Set();
+    const accept = (block) => {
+        covered.add(block);
+        for (let node = block.parentElement; node && !enclosing.has(node); node = node.parentElement) {
+            enclosing.add(node);
+        }
+    };
+    const overlaps = (el) => {
+        if (enclosing.has(el)) return true;
+        for (let node = el; node; node = node.parentElement) {
+            if (covered.has(node)) return true;
+        }
+        return false;
+    };
+
+    const rows = [];
+    const push = (el, row) => {
+        if (plausible(row.name, row.value)) {
+            rows.push({ position: el, ...row });
+        }
+    };
+
+    // Two-column tables
+    for (const table of document.querySelectorAll('table')) {
+        if (table.closest(SKIP) || table.querySelector('table')) continue;
+        const trs = [...table.rows].filter(tr => tr.parentElement?.tagName !== 'THEAD');
+        const pairs = trs.filter(tr => tr.cells.length === 2);
+        const headings = trs.filter(tr => tr.cells.length === 1 && textOf(tr));
+        if (pairs.length < 2 || pairs.length + headings.length < trs.filter(tr => textOf(tr)).length * 0.6) continue;
+
+        accept(table);
+        let group = groupFor(table);
+        for (const tr of trs) {
+            if (tr.cells.length === 1) {
+                group = cleanName(textOf(tr)) || group;
+            } else if (tr.cells.length === 2 && !(tr.cells[0].tagName === 'TH' && tr.cells[1].tagName === 'TH')) {
+                push(tr, { group, name: cleanName(textOf(tr.cells[0])), value: textOf(tr.cells[1]), source: 'table' });
+            }
+        }
+    }
+
+    // Definition lists (<dt> may be followed by several <dd>)
+    for (const dl of document.querySelectorAll('dl')) {
+        if (dl.closest(SKIP)) continue;
+        accept(dl);
+        const group = groupFor(dl);
+        const terms = [...dl.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd')];
+        for (let i = 0; i < terms.length; i++) {
+            if (terms[i].tagName !== 'DT') continue;
+            const values = [];
+            for (let j = i + 1; j < terms.length && terms[j].tagName === 'DD'; j++) {
+                values.push(textOf(terms[j]));
+            }
+            push(terms[i], { group, name: cleanName(textOf(terms[i])), value: values.filter(Boolean).join(', '), source: 'dl' });
+        }
+    }
+
+    // Grids: at least 3 alike rows, each a label element + value element or "Label: value" text
+    const signature = el => `${el.tagName}.${typeof el.className === 'string' ? el.className.trim() : ''}`;
+    for (const container of document.querySelectorAll('div, ul, ol, section')) {
+        if (container.closest(SKIP) || overlaps(container)) continue;
+
+        const children = [...container.children];
+        if (children.length < 3) continue;
+        const counts = new Map();
+        for (const child of children) {
+            counts.set(signature(child), (counts.get(signature(child)) ?? 0) + 1);
+        }
+        const [rowSignature, rowCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+        if (rowCount < 3 || rowCount < children.length * 0.6) continue;
+
+        const parsed = [];
+        for (const child of children.filter(el => signature(el) === rowSignature)) {
+            // Product cards and teasers (image + title + price) are not spec rows
+            if (child.querySelector('img, button, picture')) continue;
+            const cells = [...child.children].filter(cell => textOf(cell));
+            // Menus are label + link lists, not specs
+            if (cells.length === 2 && !(cells[0].tagName === 'A' || cells[0].querySelector('a, ul, ol'))) {
+                parsed.push({ el: child, name: cleanName(textOf(cells[0])), value: textOf(cells[1]) });
+                continue;
+            }
+            const match = textOf(child).match(LABEL_VALUE);
+            if (match && !child.querySelector('ul, ol, table')) {
+                parsed.push({ el: child, name: cleanName(match[1]), value: match[2].trim() });
+            }
+        }
+        if (parsed.length < 3 || parsed.length < rowCount * 0.6) continue;
+
+        accept(container);
+        const group = groupFor(container);
+        for (const row of parsed) {
+            push(row.el, { group, name: row.name, value: row.value, source: 'grid' });
+        }
+    }
+
+    // Blocks were scanned by kind; report rows in document order
+    rows.sort((a, b) => (a.position === b.position ? 0
+        : a.position.compareDocumentPosition(b.position) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    return rows.map(({ position, ...row }) => row);
+}
+
+/**
+ * Build the `specifications` output: split units, drop repeated rows (desktop + mobile copies).
+ *
+ * @param {ReturnType<typeof collectSpecifications>} raw
+ * @returns {Array<{ group: ?string, name: string, value: string, unit: ?string }>}
+ */
+export function normalizeSpecifications(raw) {
+    const seen = new Set();
+    const specifications = [];
+
+    for (const row of raw) {
+        let { name, value } = row;
+        let unit = null;
+
+        // "Вес, кг" / "Weight (kg)" with a plain number as value
+        const nameUnit = name.match(/^(.+?)(?:,\s*|\s*\()([^,()]{1,12})\)?$/);
+        if (nameUnit && isUnit(nameUnit[2]) && isNumeric(value)) {
+            name = nameUnit[1].trim();
+            unit = nameUnit[2].trim();
+        } else {
+            const valueUnit = value.match(/^(\d+(?:[\s.,]\d+)*(?:\s*[x×х*]\s*\d+(?:[\s.,]\d+)*)*)\s*([^\d\s].{0,11})$/);
+            if (valueUnit && isUnit(valueUnit[2])) {
+                value = valueUnit[1].trim();
+                unit = valueUnit[2].trim();
+            }
+        }
+
+        const key = `${name.toLowerCase()}\u0000${value.toLowerCase()}\u0000${unit ?? ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        specifications.push({ group: row.group, name, value, unit });
+    }
+
+    return specifications;
+}
+
+function isUnit(text) {
+    return UNITS.has(text.trim().toLowerCase().replace(/\.$/, ''));
+}
+
+function isNumeric(text) {
+    return /^[-+]?\d[\d\s]*([.,]\d+)?$/.test(text.trim());
+}
@@ -0,0 +1,418 @@
+/**
+ * Structured data extraction: JSON-LD, microdata, OpenGraph and Twitter cards.
+ *
+ * collectStructuredData() runs inside the page and only gathers raw data;
+ * normalizeStructuredData() runs in Node and turns schema.org Product/Offer/BreadcrumbList
+ * from whichever source is present into one consistent shape.
+ */
+
+/**
+ * Collect raw structured data from the current document (evaluated in the page).
+ *
+ * @returns {{
+ *   jsonLd: object[],
+ *   microdata: object[],
+ *   openGraph: Object<string, string|string[]>,
+ *   twitter: Object<string, string>,
+ *   errors: Array<{ source: string, index: ?number, message: string }>,
+ * }}
+ */
+export function collectStructuredData() {
+    const errors = [];
+
+    // JSON-LD: flatten arrays and @graph containers into one list of nodes
+    const jsonLd = [];
+    const scripts = document.querySelectorAll('script[type="application/ld+json" i]');
+    scripts.forEach((script, index) => {
+        const text = script.textContent || '';
+        if (!text.trim()) return;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Shops often wrap JSON-LD in HTML comments/CDATA or leave raw control characters in strings
+            try {
+                data = JSON.parse(text
+                    .replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)/, '')
+                    .replace(/(-->|\/\/\s*\]\]>)\s*$/, '')
+                    .replace(/[\u0000-\u001F]+/g, ' '));
+            } catch {
+                errors.push({ source: 'json-ld', index, message: e.message });
+                return;
+            }
+        }
+
+        const queue = Array.isArray(data) ? [...data] : [data];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (!node || typeof node !== 'object') continue;
+            if (Array.isArray(node['@graph'])) {
+                queue.push(...node['@graph']);
+                if (!node['@type']) continue;
+            }
+            jsonLd.push(node);
+        }
+    });
+
+    // Microdata: top-level itemscope elements, properties resolved per the HTML spec (simplified)
+    const absolute = (value) => {
+        try {
+            return new URL(value, document.baseURI).href;
+        } catch {
+            return value;
+        }
+    };
+
+    const propertyValue = (el) => {
+        if (el.hasAttribute('itemscope')) return readItem(el);
+        if (el.hasAttribute('content')) return el.getAttribute('content').trim();
+
+        switch (el.tagName) {
+            case 'META':
+                return (el.getAttribute('content') || '').trim();
+            case 'A':
+            case 'AREA':
+            case 'LINK':
+                return el.hasAttribute('href') ? absolute(el.getAttribute('href')) : '';
+            case 'IMG':
+            case 'AUDIO':
+            case 'VIDEO':
+            case 'SOURCE':
+            case 'IFRAME':
+            case 'EMBED':
+                return el.hasAttribute('src') ? absolute(el.getAttribute('src')) : '';
+            case 'TIME':
+                return (el.getAttribute('datetime') || el.textContent || '').trim();
+            case 'DATA':
+            case 'METER':
+                return (el.getAttribute('value') || '').trim();
+            default:
+                return (el.textContent || '').replace(/\s+/g, ' ').trim();
+        }
+    };
+
+    const readItem = (root) => {
+        const types = (root.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean);
+        const item = {};
+        if (types.length > 0) {
+            const names = types.map(t => t.replace(/^https?:\/\/schema\.org\//i, ''));
+            item['@type'] = names.length === 1 ? names[0] : names;
+        }
+        if (root.getAttribute('itemid')) {
+            item['@id'] = root.getAttribute('itemid');
+        }
+
+        const addProperty = (el) => {
+            const value = propertyValue(el);
+            for (const name of el.getAttribute('itemprop').split(/\s+/).filter(Boolean)) {
+                if (name in item) {
+                    item[name] = [].concat(item[name], value);
+                } else {
+                    item[name] = value;
+                }
+            }
+        };
+
+        // Properties belong to the nearest itemscope ancestor, so don't descend into nested items
+        const walk = (el) => {
+            for (const child of el.children) {
+                if (child.hasAttribute('itemprop')) {
+                    addProperty(child);
+                }
+                if (!child.hasAttribute('itemscope')) {
+                    walk(child);
+                }
+            }
+        };
+        walk(root);
+
+        return item;
+    };
+
+    const microdata = [];
+    for (const el of document.querySelectorAll('[itemscope]:not([itemprop])')) {
+        try {
+            microdata.push(readItem(el));
+        } catch (e) {
+            errors.push({ source: 'microdata', index: microdata.length, message: e.message });
+        }
+    }
+
+    // OpenGraph (property="og:*", "product:*") and Twitter cards (name="twitter:*")
+    const openGraph = {};
+    const twitter = {};
+    for (const meta of document.querySelectorAll('meta[property], meta[name]')) {
+        const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').trim().toLowerCase();
+        const content = (meta.getAttribute('content') || '').trim();
+        if (!content) continue;
+
+        if (/^(og|product|article):/.test(key)) {
+            // Repeated tags (og:image) become arrays
+            openGraph[key] = key in openGraph ? [].concat(openGraph[key], content) : content;
+        } else if (key.startsWith('twitter:')) {
+            twitter[key] = content;
+        }
+    }
+
+    return { jsonLd, microdata, openGraph, twitter, errors };
+}
+
+/**
+ * Build the `structuredData` output block from raw page data.
+ *
+ * @param {ReturnType<typeof collectStructuredData>} raw
+ * @param {string} pageUrl Used to resolve relative URLs in JSON-LD
+ * @returns {{
+ *   product: ?object,
+ *   breadcrumbs: Array<{ position: number, name: ?string, url: ?string }>,
+ *   jsonLd: object[],
+ *   microdata: object[],
+ *   openGraph: object,
+ *   twitter: object,
+ *   errors: Array<{ source: string, index: ?number, message: string }>,
+ * }}
+ */
+export function normalizeStructuredData(raw, pageUrl) {
+    const errors = [...(raw.errors ?? [])];
+    const sources = [
+        ['json-ld', raw.jsonLd ?? []],
+        ['microdata', raw.microdata ?? []],
+    ];
+
+    let product = null;
+    let breadcrumbs = [];
+
+    for (const [source, nodes] of sources) {
+        try {
+            const all = nodes.flatMap(node => [node, ...nestedNodes(node)]);
+            if (!product) {
+                const node = all.find(n => hasType(n, 'Product') || hasType(n, 'ProductGroup'));
+                if (node) product = normalizeProduct(node, source, pageUrl);
+            }
+            if (breadcrumbs.length === 0) {
+                const node = all.find(n => hasType(n, 'BreadcrumbList'));
+                if (node) breadcrumbs = normalizeBreadcrumbs(node, pageUrl);
+            }
+        } catch (e) {
+            errors.push({ source, index: null, message: e.message });
+        }
+    }
+
+    if (!product) {
+        product = productFromOpenGraph(raw.openGraph ?? {}, pageUrl);
+    }
+
+    return {
+        product,
+        breadcrumbs,
+        jsonLd: raw.jsonLd ?? [],
+        microdata: raw.microdata ?? [],
+        openGraph: raw.openGraph ?? {},
+        twitter: raw.twitter ?? {},
+        errors,
+    };
+}
+
+/**
+ * Normalize a schema.org Product node (JSON-LD or microdata) into a flat object.
+ *
+ * @param {object} node
+ * @param {string} source "json-ld" | "microdata"
+ * @param {string} pageUrl
+ * @returns {object}
+ */
+export function normalizeProduct(node, source, pageUrl) {
+    const offers = toArray(node.offers).flatMap(offer => {
+        // AggregateOffer may carry nested individual offers
+        const nested = toArray(offer?.offers);
+        return nested.length > 0 ? nested.map(o => ({ ...o, '@parent': offer })) : [offer];
+    }).filter(o => o && typeof o === 'object').map(o => normalizeOffer(o, pageUrl));
+
+    const aggregate = toArray(node.offers).find(o => hasType(o, 'AggregateOffer'));
+    const rating = first(node.aggregateRating);
+
+    return {
+        source,
+        name: text(node.name),
+        description: text(node.description),
+        brand: text(first(node.brand)?.name ?? first(node.brand)),
+        sku: text(node.sku),
+        mpn: text(node.mpn),
+        gtin: text(node.gtin ?? node.gtin13 ?? node.gtin12 ?? node.gtin14 ?? node.gtin8),
+        category: text(first(node.category)?.name ?? first(node.category)),
+        url: resolveUrl(text(first(node.url)), pageUrl),
+        images: toArray(node.image)
+            .map(img => resolveUrl(text(img?.url ?? img?.contentUrl ?? img), pageUrl))
+            .filter(Boolean),
+        offers,
+        lowPrice: parsePrice(aggregate?.lowPrice) ?? minOf(offers.map(o => o.price)),
+        highPrice: parsePrice(aggregate?.highPrice) ?? maxOf(offers.map(o => o.price)),
+        priceCurrency: text(aggregate?.priceCurrency) ?? offers.find(o => o.priceCurrency)?.priceCurrency ?? null,
+        rating: rating && typeof rating === 'object' ? {
+            value: parsePrice(rating.ratingValue),
+            best: parsePrice(rating.bestRating),
+            count: parsePrice(rating.reviewCount ?? rating.ratingCount),
+        } : null,
+    };
+}
+
+function normalizeOffer(offer, pageUrl) {
+    const parent = offer['@parent'] ?? {};
+    const spec = first(offer.priceSpecification) ?? {};
+
+    return {
+        price: parsePrice(offer.price ?? spec.price ?? offer.lowPrice),
+        priceCurrency: text(offer.priceCurrency ?? spec.priceCurrency ?? parent.priceCurrency),
+        availability: schemaEnum(offer.availability),
+        itemCondition: schemaEnum(offer.itemCondition),
+        priceValidUntil: text(offer.priceValidUntil),
+        seller: text(first(offer.seller)?.name ?? first(offer.seller)),
+        url: resolveUrl(text(first(offer.url)), pageUrl),
+        sku: text(offer.sku),
+    };
+}
+
+function normalizeBreadcrumbs(node, pageUrl) {
+    return toArray(node.itemListElement)
+        .filter(el => el && typeof el === 'object')
+        .map((el, index) => {
+            const item = first(el.item);
+            const url = typeof item === 'string' ? item : (item?.['@id'] ?? item?.url ?? el.url);
+            return {
+                position: parsePrice(el.position) ?? index + 1,
+                name: text(el.name ?? item?.name),
+                url: resolveUrl(text(first(url)), pageUrl),
+            };
+        })
+        .sort((a, b) => a.position - b.position);
+}
+
+function productFromOpenGraph(og, pageUrl) {
+    const ogType = text(first(og['og:type']))?.toLowerCase() ?? '';
+    const price = og['product:price:amount'] ?? og['og:price:amount'];
+    if (!ogType.includes('product') && price === undefined) {
+        return null;
+    }
+
+    const priceValue = parsePrice(first(price));
+    const currency = text(first(og['product:price:currency'] ?? og['og:price:currency']));
+
+    return {
+        source: 'opengraph',
+        name: text(first(og['og:title'])),
+        description: text(first(og['og:description'])),
+        brand: text(first(og['product:brand'])),
+        sku: text(first(og['product:retailer_item_id'])),
+        mpn: null,
+        gtin: null,
+        category: text(first(og['product:category'])),
+        url: resolveUrl(text(first(og['og:url'])), pageUrl),
+        images: toArray(og['og:image']).map(img => resolveUrl(text(img), pageUrl)).filter(Boolean),
+        offers: priceValue === null ? [] : [{
+            price: priceValue,
+            priceCurrency: currency,
+            availability: schemaEnum(first(og['product:availability'] ?? og['og:availability'])),
+            itemCondition: schemaEnum(first(og['product:condition'])),
+            priceValidUntil: null,
+            seller: null,
+            url: null,
+            sku: null,
+        }],
+        lowPrice: priceValue,
+        highPrice: priceValue,
+        priceCurrency: currency,
+        rating: null,
+    };
+}
+
+/**
+ * Parse a price written as a number or a localized string ("1 299,00", "1,299.00", "2.499 грн").
+ *
+ * With both separators the last one is the decimal mark. A single kind of separator groups
+ * thousands when it repeats ("1.299.000") or is followed by exactly three final digits ("1.299",
+ * "1,299"); otherwise it is the decimal mark ("12,99", "99.9").
+ *
+ * @param {*} value
+ * @returns {?number}
+ */
+export function parsePrice(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    let s = value.replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(s)) return null;
+
+    const lastComma = s.lastIndexOf(',');
+    const lastDot = s.lastIndexOf('.');
+    if (lastComma !== -1 && lastDot !== -1) {
+        s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const thousands = s.indexOf(separator) !== s.lastIndexOf(separator) || /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(s);
+        s = thousands ? s.split(separator).join('') : s.replace(separator, '.');
+    }
+
+    const n = parseFloat(s);
+    return Number.isFinite(n) ? n : null;
+}
+
+function nestedNodes(node) {
+    // Products are sometimes nested (WebPage.mainEntity, ItemPage.about, ListItem.item)
+    const out = [];
+    for (const key of ['mainEntity', 'about', 'item', 'itemOffered']) {
+        for (const child of toArray(node?.[key])) {
+            if (child && typeof child === 'object') {
+                out.push(child, ...nestedNodes(child));
+            }
+        }
+    }
+    return out;
+}
+
+function hasType(node, type) {
+    return toArray(node?.['@type']).some(t => String(t).replace(/^https?:\/\/schema\.org\//i, '') === type);
+}
+
+function schemaEnum(value) {
+    const s = text(first(value));
+    return s ? s.replace(/^https?:\/\/schema\.org\//i, '') : null;
+}
+
+function resolveUrl(value, base) {
+    if (!value) return null;
+    try {
+        return new URL(value, base).href;
+    } catch {
+        return value;
+    }
+}
+
+function text(value) {
+    if (value === undefined || value === null || typeof value === 'object') return null;
+    const s = String(value).replace(/\s+/g, ' ').trim();
+    return s || null;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function minOf(values) {
+    const nums = values.filter(v => typeof v === 'number');
+    return nums.length > 0 ? Math.min(...nums) : null;
+}
+
+function maxOf(values) {
+    const nums = values.filter(v => typeof v === 'number');
+    return nums.length > 0 ? Math.max(...nums) : null;
+}
@@ -0,0 +1,36 @@
+/**
+ * Unit tests for API response capture (run with `npm test`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { captureApiResponses } from '../../scripts/extractor/api-capture.js';
+
+// A response whose body takes `delayMs` to read
+function fakeResponse(url, body, delayMs) {
+    const request = { resourceType: () => 'fetch', method: () => 'GET' };
+    return {
+        url: () => url,
+        status: () => 200,
+        headers: () => ({ 'content-type': 'application/json' }),
+        request: () => request,
+        body: () => new Promise(resolve => setTimeout(() => resolve(Buffer.from(JSON.stringify(body))), delayMs)),
+    };
+}
+
+test('captured responses keep the order they arrived in, not the order their bodies were read', async () => {
+    const page = new EventEmitter();
+    const capture = captureApiResponses(page, { urlPatterns: ['/api/'], contentTypes: [], maxEntries: 2, maxBodyBytes: 1024 });
+
+    page.emit('response', fakeResponse('https://shop.test/api/product', { id: 1 }, 30));
+    page.emit('response', fakeResponse('https://shop.test/api/stock', { stock: 5 }, 0));
+    page.emit('response', fakeResponse('https://shop.test/api/reviews', [], 0));
+
+    const { entries, skipped } = await capture.results();
+
+    assert.deepEqual(entries.map(entry => entry.url), ['https://shop.test/api/product', 'https://shop.test/api/stock']);
+    assert.deepEqual(entries[0].body, { id: 1 });
+    assert.equal(entries[0].bodyType, 'json');
+    assert.equal(skipped, 1);
+});
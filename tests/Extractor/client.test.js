@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the daemon client (run with `npm test`), against a local HTTP server.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { DaemonUnavailableError, requestExtraction, requestHealth } from '../../scripts/extractor/client.js';
+
+const OPTIONS = { url: 'https://shop.test/p/1', timeout: 1000, retries: 0, retryDelayMs: 1000 };
+
+// pathname -> [status, content type, body]
+const replies = new Map();
+let server;
+let serverUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        req.resume();
+        const [status, contentType, body] = replies.get(req.url) ?? [404, 'text/plain', 'Not found'];
+        res.writeHead(status, contentType ? { 'Content-Type': contentType } : {});
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('daemon results and daemon failures are returned as they are', async () => {
+    replies.set('/health', [200, 'application/json; charset=utf-8', JSON.stringify({ status: 'ok' })]);
+    assert.deepEqual(await requestHealth(serverUrl), { ok: true, body: { status: 'ok' } });
+
+    const failure = { url: OPTIONS.url, error: 'net::ERR_TIMED_OUT', errorCode: 'TIMEOUT', exitCode: 13 };
+    replies.set('/extract', [500, 'application/json; charset=utf-8', JSON.stringify(failure)]);
+    assert.deepEqual(await requestExtraction(serverUrl, OPTIONS), { ok: false, body: failure });
+});
+
+test('a proxy error page means the daemon is unavailable', async () => {
+    replies.set('/extract', [502, 'text/html', '<html><body><h1>502 Bad Gateway</h1></body></html>']);
+
+    await assert.rejects(requestExtraction(serverUrl, OPTIONS), (e) => {
+        assert.ok(e instanceof DaemonUnavailableError);
+        assert.match(e.message, /HTTP 502 with text\/html instead of JSON/);
+        return true;
+    });
+});
+
+test('a reply that is not the daemon protocol means the daemon is unavailable', async () => {
+    replies.set('/extract', [200, 'application/json', '{"truncated":']);
+    await assert.rejects(requestExtraction(serverUrl, OPTIONS), DaemonUnavailableError);
+
+    replies.set('/extract', [503, 'application/json', JSON.stringify({ message: 'Service Unavailable' })]);
+    await assert.rejects(requestExtraction(serverUrl, OPTIONS), DaemonUnavailableError);
+
+    replies.set('/extract', [200, null, '']);
+    await assert.rejects(requestExtraction(serverUrl, OPTIONS), DaemonUnavailableError);
+});
+
+test('a closed port means the daemon is unavailable', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    await assert.rejects(requestHealth(`http://127.0.0.1:${port}`), DaemonUnavailableError);
+});
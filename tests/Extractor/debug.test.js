@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the debug artifact caps (run with `npm test`).
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { finishHar } from '../../scripts/extractor/debug.js';
+
+const dirs = [];
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempFile(name, build) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractor-debug-'));
+    dirs.push(dir);
+    const file = path.join(dir, name);
+    await build(file);
+    return file;
+}
+
+test('finishHar keeps a HAR under the cap as written', async () => {
+    const file = await tempFile('small.har', f => fs.writeFile(f, JSON.stringify({ log: { entries: [] } })));
+
+    const result = await finishHar(file);
+
+    assert.equal(result.error, null);
+    assert.equal(result.droppedBodies, 0);
+    assert.equal(result.bytes, (await fs.stat(file)).size);
+});
+
+test('finishHar drops the largest bodies of a .har above the cap', async () => {
+    const big = 'x'.repeat(21 * 1024 * 1024);
+    const har = { log: { entries: [
+        { response: { content: { text: big, encoding: 'base64' } } },
+        { response: { content: { text: 'small' } } },
+    ] } };
+    const file = await tempFile('big.har', f => fs.writeFile(f, JSON.stringify(har)));
+
+    const result = await finishHar(file);
+    const written = JSON.parse(await fs.readFile(file, 'utf8'));
+
+    assert.equal(result.error, null);
+    assert.equal(result.droppedBodies, 1);
+    assert.equal(written.log.entries[0].response.content.text, undefined);
+    assert.equal(written.log.entries[1].response.content.text, 'small');
+});
+
+test('finishHar removes a zipped HAR above the cap', async () => {
+    // Sparse: the size is all that is checked
+    const file = await tempFile('big.zip', f => fs.writeFile(f, '').then(() => fs.truncate(f, 21 * 1024 * 1024)));
+
+    const result = await finishHar(file);
+
+    assert.equal(result.bytes, null);
+    assert.match(result.error, /was removed/);
+    await assert.rejects(fs.stat(file));
+});
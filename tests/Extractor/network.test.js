@@ -0,0 +1,49 @@
+/**
+ * Unit tests for URL block/capture patterns (run with `npm test`).
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { InvalidOptionsError } from '../../scripts/extractor/errors.js';
+import { urlMatcher } from '../../scripts/extractor/network.js';
+import { normalizeOptions } from '../../scripts/extractor/options.js';
+import { loadProfiles } from '../../scripts/extractor/profiles.js';
+
+const dirs = [];
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('urlMatcher matches substrings and /regex/ patterns case-insensitively', () => {
+    assert.equal(urlMatcher('tracker.example')('https://TRACKER.example/pixel.gif'), true);
+    assert.equal(urlMatcher('/\\/api\\/v\\d+\\//')('https://shop.test/API/v2/product'), true);
+    assert.equal(urlMatcher('/\\/api\\/v\\d+\\//')('https://shop.test/api/product'), false);
+});
+
+test('an invalid /regex/ pattern is an invalid option', () => {
+    assert.throws(() => urlMatcher('/(analytics/'), (e) => {
+        assert.ok(e instanceof InvalidOptionsError);
+        assert.match(e.message, /Invalid URL pattern \/\(analytics\//);
+        return true;
+    });
+});
+
+test('invalid --block-urls and --capture-api regexes are rejected with the options', () => {
+    assert.throws(() => normalizeOptions({ url: 'https://shop.test/', blockUrls: 'ads.example,/[a-/' }), InvalidOptionsError);
+    assert.throws(() => normalizeOptions({ url: 'https://shop.test/', captureApi: '/(api/' }), InvalidOptionsError);
+    assert.deepEqual(normalizeOptions({ url: 'https://shop.test/', blockUrls: 'ads.example,/\\.gif$/' }).blockUrls, ['ads.example', '/\\.gif$/']);
+});
+
+test('an invalid blockUrlPatterns regex in a profile names the profile', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractor-network-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'profiles.json');
+    await fs.writeFile(file, JSON.stringify({ profiles: { shop: { blockUrlPatterns: ['/ads(/'] } } }));
+
+    await assert.rejects(loadProfiles(file), (e) => {
+        assert.ok(e instanceof InvalidOptionsError);
+        assert.match(e.message, /blockUrlPatterns entry in profile shop: \/ads\(\//);
+        return true;
+    });
+});
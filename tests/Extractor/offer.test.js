@@ -0,0 +1,70 @@
+/**
+ * Unit tests for offer detection from collected price candidates (run with `npm test`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectOffer } from '../../scripts/extractor/offer.js';
+
+function priceCandidate(amount, overrides = {}) {
+    return {
+        selector: 'main .price',
+        text: `${amount} ₴`,
+        amount,
+        currency: '₴',
+        perUnit: null,
+        fontSize: 28,
+        bold: true,
+        strike: false,
+        hint: ' price',
+        top: 400,
+        main: true,
+        chrome: false,
+        related: false,
+        ...overrides,
+    };
+}
+
+function domPrice(amount) {
+    return detectOffer({ prices: [priceCandidate(amount)], availability: [] }, null).price;
+}
+
+test('dom prices with dot or comma thousands groups keep their value', () => {
+    assert.equal(domPrice('1.299'), 1299);
+    assert.equal(domPrice('1.299.000'), 1299000);
+    assert.equal(domPrice('1,299,000'), 1299000);
+    assert.equal(domPrice('2.499'), 2499);
+});
+
+test('dom prices with decimals keep their fraction', () => {
+    assert.equal(domPrice('1 299,00'), 1299);
+    assert.equal(domPrice('1,299.00'), 1299);
+    assert.equal(domPrice('12,99'), 12.99);
+});
+
+test('a struck-through price above the current one is the old price', () => {
+    const offer = detectOffer({
+        prices: [
+            priceCandidate('2.499', { text: '2.499 грн', currency: 'грн' }),
+            priceCandidate('2.999', { text: '2.999 грн', currency: 'грн', strike: true, fontSize: 16, bold: false }),
+        ],
+        availability: [],
+    }, null);
+
+    assert.equal(offer.source, 'dom');
+    assert.equal(offer.price, 2499);
+    assert.equal(offer.oldPrice, 2999);
+    assert.equal(offer.currency, 'UAH');
+});
+
+test('a per-unit price is the unit price next to an item price and the price when alone', () => {
+    const unit = priceCandidate('89', { text: '89 грн/кг', currency: 'грн', perUnit: 'кг', fontSize: 14, bold: false });
+
+    const withItem = detectOffer({ prices: [priceCandidate('1 299'), unit], availability: [] }, null);
+    assert.equal(withItem.price, 1299);
+    assert.deepEqual(withItem.unitPrice, { price: 89, unit: 'кг' });
+
+    const alone = detectOffer({ prices: [unit], availability: [] }, null);
+    assert.equal(alone.price, 89);
+    assert.equal(alone.unitPrice, null);
+});
@@ -0,0 +1,168 @@
+/**
+ * Offline mode contract (run with `npm test`): only the document is served, every other request
+ * is aborted. Runs against a stand-in page that replays the requests a browser would make, so it
+ * needs no browser.
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { InvalidOptionsError } from '../../scripts/extractor/errors.js';
+import { loadOffline, offlineSource } from '../../scripts/extractor/offline.js';
+
+const HTML = '<html><head><link rel="stylesheet" href="/app.css"></head><body><h1>Stored page</h1></body></html>';
+
+const dirs = [];
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+/**
+ * A page whose goto() sends the document request plus the given follow-up requests through the
+ * registered route handlers (last registered first, like Playwright) and records the outcome.
+ */
+function fakePage(followUps = []) {
+    const mainFrame = { name: 'main' };
+    const handlers = [];
+    const outcomes = [];
+    const page = {
+        outcomes,
+        mainFrame: () => mainFrame,
+        route: async (pattern, handler) => {
+            handlers.unshift(handler);
+        },
+        goto: async (url) => {
+            for (const request of [{ url, navigation: true, frame: mainFrame }, ...followUps]) {
+                await dispatch({ navigation: false, frame: mainFrame, ...request });
+            }
+            const served = outcomes.find(outcome => outcome.action === 'fulfill');
+            return served ? { status: () => served.status } : null;
+        },
+        setContent: async (html) => {
+            outcomes.push({ action: 'setContent', html });
+            for (const request of followUps) {
+                await dispatch({ navigation: false, frame: mainFrame, ...request });
+            }
+        },
+    };
+
+    async function dispatch({ url, navigation, frame }) {
+        const request = { url: () => url, isNavigationRequest: () => navigation, frame: () => frame };
+        for (const handler of handlers) {
+            let settled = null;
+            await handler({
+                request: () => request,
+                fulfill: async ({ status, body }) => {
+                    settled = { url, action: 'fulfill', status, body };
+                },
+                continue: async () => {
+                    settled = { url, action: 'continue' };
+                },
+                abort: async () => {
+                    settled = { url, action: 'abort' };
+                },
+                fallback: async () => {},
+            });
+            if (settled) {
+                outcomes.push(settled);
+                return;
+            }
+        }
+        outcomes.push({ url, action: 'network' });
+    }
+
+    return page;
+}
+
+function options(overrides) {
+    return { url: 'https://shop.test/product/1', html: null, baseUrl: null, waitFor: 'load', timeout: 30000, ...overrides };
+}
+
+test('offlineSource reports stored html and file input', () => {
+    assert.deepEqual(offlineSource(options({ html: HTML })), { input: 'html', baseUrl: 'https://shop.test/product/1' });
+    assert.deepEqual(offlineSource(options({ url: 'file:///tmp/page.html' })), { input: 'file', baseUrl: 'file:///tmp/page.html' });
+    assert.deepEqual(
+        offlineSource(options({ url: 'file:///tmp/page.html', baseUrl: 'https://shop.test/p' })),
+        { input: 'file', baseUrl: 'https://shop.test/p' },
+    );
+    assert.equal(offlineSource(options({})), null);
+});
+
+test('stored html is served as the base url document and everything else is aborted', async () => {
+    const page = fakePage([
+        { url: 'https://shop.test/app.css' },
+        { url: 'https://cdn.shop.test/phone.jpg' },
+        { url: 'https://shop.test/product/1', navigation: true },
+        { url: 'https://ads.example/frame', navigation: true, frame: { name: 'child' } },
+    ]);
+
+    const response = await loadOffline(page, options({ html: HTML }));
+
+    assert.equal(response.status(), 200);
+    assert.deepEqual(page.outcomes, [
+        { url: 'https://shop.test/product/1', action: 'fulfill', status: 200, body: HTML },
+        { url: 'https://shop.test/app.css', action: 'abort' },
+        { url: 'https://cdn.shop.test/phone.jpg', action: 'abort' },
+        // A reload or redirect back to the page must not reach the network either
+        { url: 'https://shop.test/product/1', action: 'abort' },
+        { url: 'https://ads.example/frame', action: 'abort' },
+    ]);
+});
+
+test('a first navigation to another url is not served the stored html', async () => {
+    const page = fakePage([{ url: 'https://shop.test/product/1', navigation: true }]);
+    const realGoto = page.goto;
+    // A client-side redirect fires before the base url document is requested
+    page.goto = () => realGoto('https://shop.test/elsewhere');
+
+    await loadOffline(page, options({ html: HTML }));
+
+    assert.deepEqual(page.outcomes.map(o => [o.url, o.action]), [
+        ['https://shop.test/elsewhere', 'abort'],
+        ['https://shop.test/product/1', 'fulfill'],
+    ]);
+});
+
+test('a file:// page is read by the browser and its subresources are aborted', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractor-offline-'));
+    dirs.push(dir);
+    const url = pathToFileURL(path.join(dir, 'page.html')).href;
+    const page = fakePage([{ url: pathToFileURL(path.join(dir, 'app.css')).href }, { url: 'https://cdn.shop.test/a.jpg' }]);
+
+    await loadOffline(page, options({ url }));
+
+    assert.deepEqual(page.outcomes.map(o => o.action), ['continue', 'abort', 'abort']);
+    assert.equal(page.outcomes[0].url, url);
+});
+
+test('a file:// page with a base url is served as the base url document', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractor-offline-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'page.html');
+    await fs.writeFile(file, HTML);
+    const page = fakePage([{ url: 'https://shop.test/app.css' }]);
+
+    await loadOffline(page, options({ url: pathToFileURL(file).href, baseUrl: 'https://shop.test/p#reviews' }));
+
+    assert.deepEqual(page.outcomes, [
+        { url: 'https://shop.test/p#reviews', action: 'fulfill', status: 200, body: HTML },
+        { url: 'https://shop.test/app.css', action: 'abort' },
+    ]);
+});
+
+test('html without a web base url is set as content and no request is let through', async () => {
+    const page = fakePage([{ url: 'https://cdn.shop.test/a.jpg' }, { url: 'file:///stored.html', navigation: true }]);
+
+    const response = await loadOffline(page, options({ url: 'file:///stored.html', html: HTML }));
+
+    assert.equal(response, null);
+    assert.deepEqual(page.outcomes.map(o => o.action), ['setContent', 'abort', 'abort']);
+});
+
+test('an unreadable file is an invalid option', async () => {
+    await assert.rejects(
+        loadOffline(fakePage(), options({ url: 'file:///nonexistent/page.html', baseUrl: 'https://shop.test/p' })),
+        InvalidOptionsError,
+    );
+});
@@ -0,0 +1,53 @@
+/**
+ * Unit tests for site profile loading and selection (run with `npm test`).
+ */
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { InvalidOptionsError } from '../../scripts/extractor/errors.js';
+import { loadProfiles, selectProfile } from '../../scripts/extractor/profiles.js';
+
+const dirs = [];
+after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function profilesFile(profiles) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'extractor-profiles-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'profiles.json');
+    await fs.writeFile(file, JSON.stringify({ profiles }));
+    return file;
+}
+
+test('the bundled profiles load', async () => {
+    const profiles = await loadProfiles(null);
+
+    assert.ok(profiles.default);
+});
+
+test('profiles are selected by url pattern before host', async () => {
+    const profiles = await loadProfiles(await profilesFile({
+        byHost: { hosts: ['*.shop.test'] },
+        byPattern: { urlPatterns: ['^https://www\\.shop\\.test/product/'] },
+    }));
+
+    assert.equal(selectProfile(profiles, 'https://www.shop.test/product/1').name, 'byPattern');
+    assert.equal(selectProfile(profiles, 'https://www.shop.test/catalog').matchedBy, 'host');
+});
+
+test('an invalid urlPatterns regex is an invalid option naming the profile and pattern', async () => {
+    const file = await profilesFile({ broken: { urlPatterns: ['^https://shop.test/(product'] } });
+
+    await assert.rejects(loadProfiles(file), (e) => {
+        assert.ok(e instanceof InvalidOptionsError);
+        assert.equal(e.code, 'INVALID_OPTIONS');
+        assert.match(e.message, /profile broken: \^https:\/\/shop\.test\/\(product/);
+        return true;
+    });
+    assert.throws(
+        () => selectProfile({ broken: { urlPatterns: ['[a-'] } }, 'https://shop.test/'),
+        InvalidOptionsError,
+    );
+});
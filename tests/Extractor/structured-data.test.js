@@ -0,0 +1,39 @@
+/**
+ * Unit tests for the structured-data helpers (run with `npm test`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrice } from '../../scripts/extractor/structured-data.js';
+
+test('parsePrice keeps numbers and rejects non-prices', () => {
+    assert.equal(parsePrice(1299), 1299);
+    assert.equal(parsePrice(19.99), 19.99);
+    assert.equal(parsePrice(NaN), null);
+    assert.equal(parsePrice('грн'), null);
+    assert.equal(parsePrice(null), null);
+    assert.equal(parsePrice({ value: 1 }), null);
+});
+
+test('parsePrice reads repeated separators as thousands groups', () => {
+    assert.equal(parsePrice('1.299.000'), 1299000);
+    assert.equal(parsePrice('1.299.000 ₴'), 1299000);
+    assert.equal(parsePrice('1,299,000'), 1299000);
+    assert.equal(parsePrice('1 299 000 грн'), 1299000);
+});
+
+test('parsePrice reads a single separator before three final digits as a thousands group', () => {
+    assert.equal(parsePrice('1.299'), 1299);
+    assert.equal(parsePrice('2.499 грн'), 2499);
+    assert.equal(parsePrice('1,299'), 1299);
+    assert.equal(parsePrice('0.500'), 0.5);
+});
+
+test('parsePrice takes the last separator as the decimal mark', () => {
+    assert.equal(parsePrice('1 299,00'), 1299);
+    assert.equal(parsePrice('1,299.00'), 1299);
+    assert.equal(parsePrice('1.299.000,50'), 1299000.5);
+    assert.equal(parsePrice('12,99'), 12.99);
+    assert.equal(parsePrice('99.9 грн'), 99.9);
+    assert.equal(parsePrice('4.5'), 4.5);
+});
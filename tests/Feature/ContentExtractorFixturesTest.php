@@ -0,0 +1,117 @@
+<?php
+
+use App\Services\Playwright\ContentExtractorService;
+use PHPUnit\Framework\Assert;
+
+/*
+ * Offline extraction of stored pages (--html-file): the fixture is served at its base URL with
+ * every other request aborted, so the output depends only on the HTML. Needs Node and Chromium
+ * (npx playwright install chromium); skipped when the browser cannot be launched. The request
+ * blocking itself is covered without a browser by tests/Extractor/offline.test.js (npm test).
+ */
+
+const PRODUCT_PAGE_URL = 'https://shop.test/product/phone-x';
+
+function extractProductPage(): array
+{
+    static $result = null;
+
+    if ($result === null) {
+        config(['crawler.extractor_server_url' => null]);
+        $result = app(ContentExtractorService::class)->extract(
+            PRODUCT_PAGE_URL,
+            format: 'markdown',
+            html: file_get_contents(base_path('tests/Fixtures/extractor/product-page.html')),
+        );
+    }
+
+    if (!$result['success'] && str_contains((string) $result['error'], 'browserType.launch')) {
+        Assert::markTestSkipped('Chromium is not available: ' . strtok((string) $result['error'], "\n"));
+    }
+
+    return $result;
+}
+
+test('offline extraction reports its source and renders the content', function () {
+    $result = extractProductPage();
+
+    expect($result['success'])->toBeTrue()
+        ->and($result['offline'])->toBe(['input' => 'html', 'baseUrl' => PRODUCT_PAGE_URL])
+        ->and($result['title'])->toBe('Смартфон Phone X 128 GB — Shop')
+        ->and($result['description'])->toBe('Смартфон Phone X 128 GB з доставкою по Україні')
+        ->and($result['content'])->toContain('# Смартфон Phone X 128 GB')
+        ->and($result['content'])->toContain('Акумулятор тримає цілий день')
+        ->and($result['mainContent']['content'])->toContain('Phone X поєднує яскравий екран')
+        ->and($result['mainContent']['content'])->not->toContain('Усі права захищено');
+});
+
+test('offline extraction resolves links against the base url', function () {
+    $links = collect(extractProductPage()['links'])->keyBy('normalizedUrl');
+
+    expect($links->keys()->all())->toContain(
+        'https://shop.test/',
+        'https://shop.test/catalog/phones',
+        'https://shop.test/catalog/tablets',
+        'https://shop.test/about',
+        'https://social.example/shop',
+    )
+        ->and($links['https://shop.test/catalog/phones']['sameOrigin'])->toBeTrue()
+        ->and($links['https://shop.test/catalog/phones']['regions'])->toContain('nav', 'breadcrumb')
+        ->and($links['https://shop.test/about']['region'])->toBe('footer')
+        ->and($links['https://social.example/shop']['sameOrigin'])->toBeFalse();
+});
+
+test('offline extraction reads canonical, robots and hreflang', function () {
+    $seo = extractProductPage()['seo'];
+
+    expect($seo['finalUrl'])->toBe(PRODUCT_PAGE_URL)
+        ->and($seo['redirected'])->toBeFalse()
+        ->and($seo['canonical'])->toBe(PRODUCT_PAGE_URL)
+        ->and($seo['canonicalIsSelf'])->toBeTrue()
+        // "max-image-preview:large" is a directive, not a bot scope
+        ->and($seo['robots']['index'])->toBeTrue()
+        ->and($seo['robots']['follow'])->toBeTrue()
+        ->and($seo['robots']['directives'])->toBe(['max-image-preview:large', 'index', 'follow'])
+        ->and($seo['hreflang'])->toBe([
+            ['lang' => 'uk', 'url' => PRODUCT_PAGE_URL],
+            ['lang' => 'en', 'url' => 'https://shop.test/en/product/phone-x'],
+        ]);
+});
+
+test('offline extraction splits the spec table into name, value and unit', function () {
+    expect(extractProductPage()['specifications'])->toBe([
+        ['group' => 'Характеристики', 'name' => 'Діагональ екрана', 'value' => '6.1', 'unit' => '"'],
+        ['group' => 'Характеристики', 'name' => "Вбудована пам'ять", 'value' => '128', 'unit' => 'ГБ'],
+        ['group' => 'Характеристики', 'name' => 'Ємність акумулятора', 'value' => '4000 мА·год', 'unit' => null],
+        ['group' => 'Характеристики', 'name' => 'Колір', 'value' => 'Чорний', 'unit' => null],
+    ]);
+});
+
+test('offline extraction takes the offer from structured data and the old price from the page', function () {
+    $offer = extractProductPage()['offer'];
+
+    expect($offer['source'])->toBe('json-ld')
+        ->and($offer['price'])->toEqual(1299)
+        ->and($offer['oldPrice'])->toEqual(1499)
+        ->and($offer['unitPrice'])->toBeNull()
+        ->and($offer['currency'])->toBe('UAH')
+        ->and($offer['availability'])->toBe('InStock')
+        ->and($offer['availabilityText'])->toBe('В наявності')
+        ->and($offer['element']['text'])->toBe('1 299 ₴');
+});
+
+test('offline extraction normalizes the json-ld product', function () {
+    $structuredData = extractProductPage()['structuredData'];
+
+    expect($structuredData['errors'])->toBe([])
+        ->and($structuredData['product']['source'])->toBe('json-ld')
+        ->and($structuredData['product']['name'])->toBe('Смартфон Phone X 128 GB')
+        ->and($structuredData['product']['brand'])->toBe('Phone')
+        ->and($structuredData['product']['sku'])->toBe('PX-128')
+        ->and($structuredData['product']['images'])->toBe(['https://cdn.shop.test/images/phone-x-front.jpg'])
+        ->and($structuredData['product']['offers'][0])->toMatchArray([
+            'priceCurrency' => 'UAH',
+            'availability' => 'InStock',
+        ])
+        ->and($structuredData['openGraph']['og:title'])->toBe('Смартфон Phone X 128 GB');
+});
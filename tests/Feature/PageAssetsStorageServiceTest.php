@@ -0,0 +1,74 @@
+<?php
+
+use App\Models\Page;
+use App\Services\Storage\PageAssetsStorageService;
+use Illuminate\Filesystem\FilesystemAdapter;
+use Illuminate\Support\Facades\Storage;
+
+function unsavedPage(int $id): Page
+{
+    $page = new Page();
+    $page->id = $id;
+
+    return $page;
+}
+
+function tempImageFile(string $bytes): string
+{
+    $path = tempnam(sys_get_temp_dir(), 'extractor-image-');
+    file_put_contents($path, $bytes);
+
+    return $path;
+}
+
+test('downloaded images are stored under a content-addressed key', function () {
+    Storage::fake('s3');
+    $bytes = "\xFF\xD8\xFF\xE0" . str_repeat('x', 64);
+    $path = tempImageFile($bytes);
+
+    $url = app(PageAssetsStorageService::class)->storeImageFromLocalFile(unsavedPage(7), $path, 'JPEG');
+
+    $key = 'pages/7/images/' . md5($bytes) . '.jpg';
+    Storage::disk('s3')->assertExists($key);
+    expect(Storage::disk('s3')->get($key))->toBe($bytes)
+        ->and($url)->toEndWith($key);
+
+    unlink($path);
+});
+
+test('downloaded images are uploaded as public objects with their content type', function (string $ext, string $contentType) {
+    $bytes = 'image-bytes-' . $ext;
+    $path = tempImageFile($bytes);
+    $key = 'pages/7/images/' . md5($bytes) . '.' . ($ext === 'jpeg' ? 'jpg' : $ext);
+
+    $disk = \Mockery::mock(FilesystemAdapter::class);
+    $disk->shouldReceive('put')
+        ->once()
+        ->with($key, $bytes, \Mockery::on(fn (array $options) => $options['ContentType'] === $contentType
+            && $options['visibility'] === 'public'))
+        ->andReturnTrue();
+    $disk->shouldReceive('exists')->with($key)->andReturnTrue();
+    $disk->shouldReceive('size')->with($key)->andReturn(strlen($bytes));
+    $disk->shouldReceive('url')->with($key)->andReturn("https://s3.test/{$key}");
+    Storage::shouldReceive('disk')->with('s3')->andReturn($disk);
+
+    $url = app(PageAssetsStorageService::class)->storeImageFromLocalFile(unsavedPage(7), $path, $ext);
+
+    expect($url)->toBe("https://s3.test/{$key}");
+
+    unlink($path);
+})->with([
+    ['jpeg', 'image/jpeg'],
+    ['png', 'image/png'],
+    ['webp', 'image/webp'],
+    ['avif', 'image/avif'],
+    ['gif', 'image/gif'],
+    ['svg', 'image/svg+xml'],
+    ['bmp', 'application/octet-stream'],
+]);
+
+test('storing a missing image file fails', function () {
+    Storage::fake('s3');
+
+    app(PageAssetsStorageService::class)->storeImageFromLocalFile(unsavedPage(7), '/nonexistent/image.jpg', 'jpg');
+})->throws(RuntimeException::class, 'Image temp file not found: /nonexistent/image.jpg');
@@ -0,0 +1,52 @@
+<?php
+
+use App\Models\Page;
+use App\Services\Pages\PageScreenshotDerivativeService;
+use App\Services\Storage\PageAssetsStorageService;
+use Illuminate\Support\Facades\Storage;
+
+test('webp screenshots get webp derivatives resized to the target width and cropped from the top', function () {
+    if (!function_exists('imagewebp')) {
+        $this->markTestSkipped('GD is built without WebP support');
+    }
+
+    Storage::fake('s3');
+
+    $image = imagecreatetruecolor(960, 1200);
+    imagefilledrectangle($image, 0, 0, 959, 1199, imagecolorallocate($image, 200, 30, 30));
+    ob_start();
+    imagewebp($image, null, 90);
+    $webp = (string) ob_get_clean();
+    imagedestroy($image);
+
+    $sourceKey = 'pages/9/screenshots/' . md5($webp) . '.webp';
+    Storage::disk('s3')->put($sourceKey, $webp);
+
+    $page = new Page();
+    $page->id = 9;
+    $page->screenshot_path = Storage::disk('s3')->url($sourceKey);
+
+    $url = app(PageScreenshotDerivativeService::class)->resolveRedirectUrl($page, 500);
+
+    $derivedKey = app(PageAssetsStorageService::class)->extractS3KeyFromPublicUrl($url);
+    $derived = Storage::disk('s3')->get($derivedKey);
+    $size = getimagesizefromstring($derived);
+
+    expect($derivedKey)->toStartWith('pages/9/derived_screenshots/1920x500/')
+        ->and($derivedKey)->toEndWith('.webp')
+        ->and(substr($derived, 0, 4))->toBe('RIFF')
+        ->and(substr($derived, 8, 4))->toBe('WEBP')
+        ->and($size['mime'])->toBe('image/webp')
+        ->and([$size[0], $size[1]])->toBe([1920, 500]);
+});
+
+test('the original screenshot url is returned when no crop is requested', function () {
+    Storage::fake('s3');
+
+    $page = new Page();
+    $page->id = 9;
+    $page->screenshot_path = 'https://s3.test/pages/9/screenshots/abc.webp';
+
+    expect(app(PageScreenshotDerivativeService::class)->resolveRedirectUrl($page, null))
+        ->toBe('https://s3.test/pages/9/screenshots/abc.webp');
+});
@@ -0,0 +1,45 @@
+/**
+ * Stand-in for scripts/puppeteer-extract-text.js in tests: reports the arguments and stdin it got
+ * instead of extracting anything.
+ *
+ *   success   { content: JSON of the arguments, rawHtml: stdin, ... }
+ *   URLs containing "fail-<exitCode>" print a JSON error and exit with that code
+ *   URLs containing "crash" exit 1 without JSON output
+ */
+
+import fs from 'node:fs';
+
+const args = process.argv.slice(2);
+const url = args[0];
+const stdin = args.includes('--html-file=-') ? fs.readFileSync(0, 'utf8') : null;
+
+const failure = url.match(/fail-(\d+)/);
+if (failure) {
+    process.stdout.write(JSON.stringify({
+        url,
+        error: 'net::ERR_TIMED_OUT',
+        errorType: 'TimeoutError',
+        errorCode: 'TIMEOUT',
+        exitCode: Number(failure[1]),
+        retryable: true,
+        httpStatus: null,
+        attempts: 3,
+        debug: { console: [], consoleDropped: 0, pageErrors: [], pageErrorsDropped: 0, failedRequests: [], failedRequestsDropped: 0, trace: null, har: null },
+    }));
+    process.exit(Number(failure[1]));
+}
+if (url.includes('crash')) {
+    process.stderr.write('Segmentation fault');
+    process.exit(1);
+}
+
+process.stdout.write(JSON.stringify({
+    url,
+    status: 200,
+    title: 'Echo',
+    content: JSON.stringify(args),
+    contentLength: 0,
+    rawHtml: stdin,
+    attempts: 1,
+    loadTimeMs: 1,
+}));
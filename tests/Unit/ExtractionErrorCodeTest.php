@@ -0,0 +1,53 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Enums\ExtractionErrorCode;
+
+it('maps extractor exit codes back to error codes', function (?int $exitCode, ExtractionErrorCode $expected): void {
+    expect(ExtractionErrorCode::fromExitCode($exitCode))->toBe($expected);
+})->with([
+    'invalid options' => [2, ExtractionErrorCode::INVALID_OPTIONS],
+    'dns' => [10, ExtractionErrorCode::DNS],
+    'connection refused' => [11, ExtractionErrorCode::CONNECTION_REFUSED],
+    'network' => [12, ExtractionErrorCode::NETWORK],
+    'timeout' => [13, ExtractionErrorCode::TIMEOUT],
+    'http 4xx' => [14, ExtractionErrorCode::HTTP_4XX],
+    'http 5xx' => [15, ExtractionErrorCode::HTTP_5XX],
+    'blocked' => [16, ExtractionErrorCode::BLOCKED],
+    'empty content' => [17, ExtractionErrorCode::EMPTY_CONTENT],
+    'crash' => [18, ExtractionErrorCode::CRASH],
+    'internal' => [1, ExtractionErrorCode::INTERNAL],
+    'unknown' => [99, ExtractionErrorCode::INTERNAL],
+    'killed without exit code' => [null, ExtractionErrorCode::INTERNAL],
+]);
+
+it('matches the errorCode values of the extractor JSON output', function (): void {
+    expect(ExtractionErrorCode::tryFrom('TIMEOUT'))->toBe(ExtractionErrorCode::TIMEOUT);
+    expect(ExtractionErrorCode::tryFrom('timeout'))->toBeNull();
+    expect(array_map(fn (ExtractionErrorCode $code) => $code->value, ExtractionErrorCode::cases()))->toBe([
+        'INTERNAL', 'INVALID_OPTIONS', 'DNS', 'CONNECTION_REFUSED', 'NETWORK', 'TIMEOUT',
+        'HTTP_4XX', 'HTTP_5XX', 'BLOCKED', 'EMPTY_CONTENT', 'CRASH',
+    ]);
+});
+
+it('classifies transient, permanent and attention-worthy failures', function (): void {
+    $transient = array_filter(ExtractionErrorCode::cases(), fn (ExtractionErrorCode $code) => $code->isTransient());
+    $permanent = array_filter(ExtractionErrorCode::cases(), fn (ExtractionErrorCode $code) => $code->isPermanent());
+    $attention = array_filter(ExtractionErrorCode::cases(), fn (ExtractionErrorCode $code) => $code->needsAttention());
+
+    expect(array_values($transient))->toBe([
+        ExtractionErrorCode::CONNECTION_REFUSED,
+        ExtractionErrorCode::NETWORK,
+        ExtractionErrorCode::TIMEOUT,
+        ExtractionErrorCode::HTTP_5XX,
+        ExtractionErrorCode::EMPTY_CONTENT,
+        ExtractionErrorCode::CRASH,
+    ]);
+    expect(array_values($permanent))->toBe([ExtractionErrorCode::DNS, ExtractionErrorCode::HTTP_4XX]);
+    expect(array_values($attention))->toBe([
+        ExtractionErrorCode::INTERNAL,
+        ExtractionErrorCode::INVALID_OPTIONS,
+        ExtractionErrorCode::BLOCKED,
+    ]);
+});